@@ -0,0 +1,268 @@
+// audio.js
+// Procedural sound for the browser front end. Every effect and the ambient
+// drone is synthesised with WebAudio, so there are no sound files. main.js
+// passes in game events from the core's hooks and the ship's state every
+// frame. Loaded as a plain script after core.js.
+
+// --- Settings ---
+const AUDIO_KEY = "iso_space_audio";
+const DEFAULT_AUDIO = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+const AUDIO_BUSES = [
+  { id: "master", name: "Master volume" },
+  { id: "sfx",    name: "Effects" },
+  { id: "music",  name: "Music" },
+];
+const VOLUME_STEP = 0.1;
+
+// Interaction chimes, notes in Hz per POI type. Types without an entry
+// (e.g. from poi-types.json) get a pair picked from their name.
+const CHIMES = {
+  Station:      [523.25, 659.25, 783.99],
+  Asteroids:    [196.00, 293.66],
+  Gas:          [329.63, 440.00],
+  Derelict:     [220.00, 207.65],
+  Wreckage:     [246.94, 311.13],
+  Relay:        [587.33, 880.00],
+  Beacon:       [659.25, 987.77],
+  "Jump Gate":  [261.63, 392.00, 523.25],
+  "Far Corner": [130.81, 196.00, 261.63, 392.00],
+};
+const PENTATONIC = [261.63, 293.66, 329.63, 392.00, 440.00, 523.25, 587.33];
+
+function chimeNotes(type) {
+  if (CHIMES[type]) return CHIMES[type];
+  let h = 0;
+  for (const ch of type) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return [PENTATONIC[h % PENTATONIC.length], PENTATONIC[(h >> 3) % PENTATONIC.length] * 2];
+}
+
+// Alarms repeat while the condition holds
+const LOW_FUEL = 0.2;       // fraction of the tank
+const LOW_HULL = 0.3;       // fraction of max hull
+const FUEL_ALARM_EVERY = 2.5; // s
+const HULL_ALARM_EVERY = 1.5; // s
+
+// --- Audio ---
+// `storage` keeps the volume settings. Nothing is made until unlock() is
+// called from a key press or tap, since browsers only allow sound after one;
+// every call before that (or without WebAudio) does nothing.
+function createAudio({ storage = localStorage } = {}) {
+  const settings = loadSettings();
+  let ctx = null;
+  let buses = null;  // { master, sfx, music } gain nodes
+  let engine = null; // continuous voices, see startLoops()
+  let hiss = null;
+  let drone = null;
+  let noiseBuffer = null;
+  let fuelAlarmAt = 0;
+  let hullAlarmAt = 0;
+
+  function loadSettings() {
+    const loaded = { ...DEFAULT_AUDIO };
+    try {
+      const saved = JSON.parse(storage.getItem(AUDIO_KEY) ?? "{}");
+      for (const key of Object.keys(loaded)) {
+        if (typeof saved[key] === typeof loaded[key]) loaded[key] = saved[key];
+      }
+    } catch {
+      // unreadable: defaults
+    }
+    return loaded;
+  }
+
+  function saveSettings() {
+    storage.setItem(AUDIO_KEY, JSON.stringify(settings));
+  }
+
+  function unlock() {
+    const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContext) return;
+    if (!ctx) {
+      ctx = new AudioContext();
+      buses = { master: ctx.createGain(), sfx: ctx.createGain(), music: ctx.createGain() };
+      buses.sfx.connect(buses.master);
+      buses.music.connect(buses.master);
+      buses.master.connect(ctx.destination);
+      noiseBuffer = makeNoise();
+      applyVolumes();
+      startLoops();
+    }
+    if (ctx.state === "suspended") ctx.resume();
+  }
+
+  function applyVolumes() {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    buses.master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, 0.05);
+    buses.sfx.gain.setTargetAtTime(settings.sfx, now, 0.05);
+    buses.music.gain.setTargetAtTime(settings.music, now, 0.05);
+  }
+
+  function setVolume(bus, value) {
+    settings[bus] = Math.round(clamp(value, 0, 1) * 10) / 10;
+    saveSettings();
+    applyVolumes();
+  }
+
+  function toggleMute() {
+    settings.muted = !settings.muted;
+    saveSettings();
+    applyVolumes();
+  }
+
+  // One second of white noise, shared by every noisy sound
+  function makeNoise() {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  // --- One-shots ---
+  // A note with a quick attack and exponential fade; `slideTo` bends it
+  function tone(freq, { type = "sine", at = 0, duration = 0.2, gain = 0.2, slideTo = null } = {}) {
+    const t = ctx.currentTime + at;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t);
+    if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, t + duration);
+    env.gain.setValueAtTime(0.0001, t);
+    env.gain.exponentialRampToValueAtTime(gain, t + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    osc.connect(env).connect(buses.sfx);
+    osc.start(t);
+    osc.stop(t + duration + 0.05);
+  }
+
+  // A burst of filtered noise, the filter sweeping from `freq` to `freqTo`
+  function burst({ duration = 0.3, gain = 0.3, freq = 2000, freqTo = 200, filter = "lowpass" } = {}) {
+    const t = ctx.currentTime;
+    const src = ctx.createBufferSource();
+    const f = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    src.buffer = noiseBuffer;
+    src.loop = true;
+    f.type = filter;
+    f.frequency.setValueAtTime(freq, t);
+    f.frequency.exponentialRampToValueAtTime(freqTo, t + duration);
+    env.gain.setValueAtTime(gain, t);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    src.connect(f).connect(env).connect(buses.sfx);
+    src.start(t);
+    src.stop(t + duration + 0.05);
+  }
+
+  function chime(type) {
+    if (!ctx) return;
+    chimeNotes(type).forEach((freq, i) => tone(freq, { type: "triangle", at: i * 0.09, duration: 0.5, gain: 0.12 }));
+  }
+
+  function hit(amount = 1) {
+    if (!ctx) return;
+    const weight = Math.min(1, 0.4 + amount * 0.15);
+    burst({ duration: 0.25, gain: 0.35 * weight, freq: 3000, freqTo: 300 });
+    tone(140, { type: "square", duration: 0.2, gain: 0.12 * weight, slideTo: 50 });
+  }
+
+  // A hostile going up, or (big) the player's own ship
+  function explosion(big = false) {
+    if (!ctx) return;
+    burst({ duration: big ? 1.6 : 0.7, gain: big ? 0.6 : 0.4, freq: big ? 1800 : 2500, freqTo: 60 });
+    tone(big ? 90 : 120, { type: "sawtooth", duration: big ? 1.2 : 0.5, gain: big ? 0.25 : 0.15, slideTo: 30 });
+  }
+
+  function alarm(notes) {
+    notes.forEach((freq, i) => tone(freq, { type: "square", at: i * 0.14, duration: 0.12, gain: 0.06 }));
+  }
+
+  // --- Loops ---
+  // Engine hum (two detuned saws through a lowpass), brake hiss (highpassed
+  // noise) and the ambient drone: a root and fifth, plus a clashing voice
+  // and a brighter filter that come in with danger.
+  function startLoops() {
+    const loop = (node) => { node.start(); return node; };
+    const osc = (type, freq) => {
+      const o = ctx.createOscillator();
+      o.type = type;
+      o.frequency.value = freq;
+      return loop(o);
+    };
+    const silent = () => {
+      const g = ctx.createGain();
+      g.gain.value = 0;
+      return g;
+    };
+
+    engine = { a: osc("sawtooth", 55), b: osc("sawtooth", 55.7), filter: ctx.createBiquadFilter(), gain: silent() };
+    engine.filter.type = "lowpass";
+    engine.filter.frequency.value = 300;
+    engine.a.connect(engine.filter);
+    engine.b.connect(engine.filter);
+    engine.filter.connect(engine.gain).connect(buses.sfx);
+
+    const noise = ctx.createBufferSource();
+    noise.buffer = noiseBuffer;
+    noise.loop = true;
+    hiss = { filter: ctx.createBiquadFilter(), gain: silent() };
+    hiss.filter.type = "highpass";
+    hiss.filter.frequency.value = 3000;
+    noise.connect(hiss.filter).connect(hiss.gain).connect(buses.sfx);
+    loop(noise);
+
+    drone = {
+      root: osc("sine", 55), fifth: osc("sine", 82.41), tension: osc("triangle", 58.27),
+      tensionGain: silent(), filter: ctx.createBiquadFilter(), gain: ctx.createGain(),
+      lfo: osc("sine", 0.08), lfoDepth: ctx.createGain(),
+    };
+    drone.filter.type = "lowpass";
+    drone.filter.frequency.value = 240;
+    drone.gain.gain.value = 0.18;
+    drone.lfoDepth.gain.value = 80;
+    drone.lfo.connect(drone.lfoDepth).connect(drone.filter.frequency);
+    drone.root.connect(drone.filter);
+    drone.fifth.connect(drone.filter);
+    drone.tension.connect(drone.tensionGain).connect(drone.filter);
+    drone.filter.connect(drone.gain).connect(buses.music);
+  }
+
+  // Called every frame with where the ship is at:
+  //   { active, speed, thrust, boost, brake, fuel, hull, danger }
+  // `active` is false while the game is paused; speed, fuel and hull are
+  // fractions (0–1) and danger is game.dangerLevel().
+  function update(state) {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    const glide = (param, value, time = 0.1) => param.setTargetAtTime(value, now, time);
+    const { active, speed, thrust, boost, brake, fuel, hull, danger } = state;
+
+    const pitch = 45 + speed * 50 + (boost ? 25 : 0);
+    glide(engine.a.frequency, pitch);
+    glide(engine.b.frequency, pitch * 1.012);
+    glide(engine.filter.frequency, 250 + speed * 900 + (boost ? 600 : 0));
+    glide(engine.gain.gain, !active ? 0 : (thrust ? 0.05 : 0.01) + speed * 0.08);
+
+    glide(hiss.gain.gain, active && brake && speed > 0.02 ? 0.03 + speed * 0.1 : 0, 0.05);
+
+    glide(drone.tensionGain.gain, danger * 0.8, 1);
+    glide(drone.filter.frequency, 240 + danger * 900, 1);
+    glide(drone.lfo.frequency, 0.08 + danger * 0.6, 1);
+    glide(drone.root.detune, -danger * 100, 2); // sinks a semitone at full danger
+
+    if (!active) return;
+    if (fuel < LOW_FUEL && now >= fuelAlarmAt) {
+      alarm([880]);
+      fuelAlarmAt = now + FUEL_ALARM_EVERY;
+    }
+    if (hull <= LOW_HULL && now >= hullAlarmAt) {
+      alarm([660, 440]);
+      hullAlarmAt = now + HULL_ALARM_EVERY;
+    }
+  }
+
+  return {
+    settings,
+    unlock, update, setVolume, toggleMute,
+    chime, hit, explosion,
+  };
+}
@@ -0,0 +1,3376 @@
+// core.js
+// The game without the browser: state, simulation, generation and saves.
+// main.js draws it and feeds it input; the Node tests and the batch
+// simulator (sim/) drive it directly. Loaded as a plain script by the page,
+// and as a CommonJS module by Node.
+
+// --- Config ---
+const GRID_W = 24;
+const GRID_H = 24;
+
+// Fog of war visibility radius (in tile units), before upgrades
+const VIS_RADIUS = 4;
+
+// Ship stats before meta upgrades
+const BASE_HULL = 10;
+const BASE_FUEL = 30;
+
+const FRAG_TOTAL = 10;
+
+// --- POIs ---
+const FIXED_POIS = [
+  { x: 6,  y: 6,  type: "Station" },
+  { x: 18, y: 9,  type: "Asteroids" },
+  { x: 10, y: 18, type: "Derelict" },
+  { x: 22, y: 22, type: "Far Corner" },
+];
+
+// --- Math ---
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function manhattan(ax, ay, bx, by) {
+  return Math.abs(ax - bx) + Math.abs(ay - by);
+}
+
+function keyXY(x, y) {
+  return `${x},${y}`;
+}
+
+function parseKeyXY(key) {
+  const [x, y] = key.split(",").map(Number);
+  return { x, y };
+}
+
+// --- RNG ---
+// All game randomness goes through a seeded mulberry32 generator so a seed
+// reproduces the same sector layout and loot rolls. Its whole state is one
+// uint32, which is what gets stored in the save.
+
+// FNV-1a: turns any seed string into a uint32
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Returns a generator function and keeps its state in `holder.state`
+function mulberry32(holder) {
+  return function () {
+    holder.state = (holder.state + 0x6d2b79f5) >>> 0;
+    let t = holder.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function makeRandomSeed(rnd = Math.random) {
+  // Only place Math.random is allowed: picking a seed nobody asked for
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  let s = "";
+  for (let i = 0; i < 8; i++) s += chars[Math.floor(rnd() * chars.length)];
+  return s;
+}
+
+function dailySeed(date = new Date()) {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+// --- Cargo ---
+// Raw materials from POIs. Scrap stays the currency and doesn't take cargo
+// space; everything in RESOURCES does, up to the hold's capacity.
+const RESOURCES = {
+  ore:         { name: "Ore",         short: "ore",  price: 1 }, // scrap per unit at the Station
+  gas:         { name: "Gas",         short: "gas",  price: 1 },
+  electronics: { name: "Electronics", short: "elec", price: 2 },
+};
+
+const CARGO_CAPACITY = 30;
+
+function emptyCargo() {
+  const cargo = {};
+  for (const id of Object.keys(RESOURCES)) cargo[id] = 0;
+  return cargo;
+}
+
+function formatCost(cost) {
+  const parts = Object.entries(cost).map(([id, n]) => `${n} ${RESOURCES[id]?.short ?? id}`);
+  return parts.length ? parts.join(" + ") : "free";
+}
+
+// --- Loadout ---
+// The ship has one slot of each kind. A module fits one slot and adds to the
+// same stats as meta upgrades (see shipStats()); a module whose slot is
+// taken waits among the spares until it's swapped in (I). On death every
+// spare and every equipped module is lost except `durable` ones.
+//
+//   thrust      +fraction of acceleration and top speed
+//   efficiency  -fraction of fuel burned per tile
+//   maxHull, maxFuel, cargo, vision (tiles), brake (extra brake drag)
+//   armor       chance to shrug off a hit entirely
+//   loot        added to loot rolls (see lootRoll() and `lootBonus`)
+const SLOTS = {
+  engine:  { name: "Engine" },
+  tank:    { name: "Fuel Tank" },
+  plating: { name: "Hull Plating" },
+  sensors: { name: "Sensors" },
+  utility: { name: "Utility" },
+};
+
+const MAX_SPARES = 4;
+
+// `salvage` modules can't be crafted; they turn up in Wreckage and Derelicts
+const MODULES = {
+  injector:    { name: "Fuel Injector",      slot: "engine",  desc: "+10% thrust",                stats: { thrust: 0.10 } },
+  afterburner: { name: "Afterburner",        slot: "engine",  desc: "+25% thrust, +20% fuel burn", stats: { thrust: 0.25, efficiency: -0.20 }, salvage: true },
+  ionDrive:    { name: "Ion Drive",          slot: "engine",  desc: "-30% fuel burn",             stats: { efficiency: 0.30 }, salvage: true, durable: true },
+  tanks:       { name: "Auxiliary Tanks",    slot: "tank",    desc: "+10 max fuel",               stats: { maxFuel: 10 } },
+  bladder:     { name: "Bladder Tank",       slot: "tank",    desc: "+18 max fuel",               stats: { maxFuel: 18 }, salvage: true },
+  plating:     { name: "Reinforced Plating", slot: "plating", desc: "+3 max hull",                stats: { maxHull: 3 } },
+  ablative:    { name: "Ablative Armor",     slot: "plating", desc: "25% chance to shrug off a hit", stats: { armor: 0.25 }, salvage: true, durable: true },
+  booster:     { name: "Sensor Booster",     slot: "sensors", desc: "+1 sensor range",            stats: { vision: 1 } },
+  deepScanner: { name: "Deep Scanner",       slot: "sensors", desc: "+2 sensor range, better loot", stats: { vision: 2, loot: 0.05 }, salvage: true },
+  pods:        { name: "Cargo Pods",         slot: "utility", desc: "+15 cargo space",            stats: { cargo: 15 } },
+  dampers:     { name: "Inertial Dampers",   slot: "utility", desc: "much stronger brakes",       stats: { brake: 10 }, salvage: true, durable: true },
+};
+
+const SALVAGE_MODULES = Object.keys(MODULES).filter(id => MODULES[id].salvage);
+
+// The Legendary Module sits outside the slots and is never lost
+const LEGENDARY_STATS = { loot: 0.10, vision: 1, thrust: 0.05 };
+
+function emptyLoadout() {
+  const loadout = {};
+  for (const slot of Object.keys(SLOTS)) loadout[slot] = null;
+  return loadout;
+}
+
+// --- Crafting ---
+// Recipes are made at the Station (C). A recipe gives a consumable item, a
+// ship module, or the Legendary Module.
+// `requires.fragments` is checked but not consumed.
+const ITEMS = {
+  repairKit: { name: "Repair Kit", key: "r" },
+  fuelCell:  { name: "Fuel Cell",  key: "g" },
+};
+
+const RECIPES = [
+  { id: "repairKit", name: "Repair Kit",         cost: { ore: 2, electronics: 1 },           gives: { item: "repairKit" } },
+  { id: "fuelCell",  name: "Fuel Cell",          cost: { gas: 3 },                           gives: { item: "fuelCell" } },
+  { id: "plating",   name: "Reinforced Plating", cost: { ore: 6, electronics: 2, scrap: 4 }, gives: { module: "plating" } },
+  { id: "pods",      name: "Cargo Pods",         cost: { ore: 4, gas: 2, scrap: 3 },         gives: { module: "pods" } },
+  { id: "injector",  name: "Fuel Injector",      cost: { gas: 5, electronics: 3 },           gives: { module: "injector" } },
+  { id: "tanks",     name: "Auxiliary Tanks",    cost: { ore: 3, gas: 4 },                   gives: { module: "tanks" } },
+  { id: "booster",   name: "Sensor Booster",     cost: { electronics: 4, scrap: 3 },         gives: { module: "booster" } },
+  { id: "legendary", name: "Legendary Module",   cost: {}, requires: { fragments: FRAG_TOTAL }, gives: { legendary: true } },
+];
+
+function emptyItems() {
+  const items = {};
+  for (const id of Object.keys(ITEMS)) items[id] = 0;
+  return items;
+}
+
+// --- Meta progression ---
+// Credits and upgrade levels live in their own storage key, so neither death
+// nor newGame() ever touches them.
+const META_KEY = "iso_space_meta";
+
+// --- Run history ---
+// Finished runs are kept (newest first) under their own key too, for the
+// history table and personal bests.
+const HISTORY_KEY = "iso_space_history";
+const MAX_HISTORY = 50;
+const PERSONAL_BESTS = [
+  { id: "seconds",     name: "Longest run" },
+  { id: "distance",    name: "Furthest flown" },
+  { id: "scrapEarned", name: "Most scrap" },
+  { id: "fragments",   name: "Most fragments" },
+  { id: "kills",       name: "Most kills" },
+];
+
+// Per-run tallies; `startedAt` is the worldTime the run began at
+function emptyRun(startedAt = 0) {
+  return {
+    distance: 0,     // tiles flown
+    scrapEarned: 0,  // scrap picked up (spending doesn't reduce it)
+    scrapSpent: 0,
+    fragments: 0,    // found this run
+    kills: 0,
+    visits: {},      // POI type -> interactions
+    damage: {},      // cause -> hull lost
+    ranDry: false,   // the tank hit empty at some point
+    startedAt,
+  };
+}
+
+// Each upgrade adds `perLevel` to `stat` per level bought. `requires` makes it
+// a tree: the node stays locked until the named upgrade reaches that level.
+const META_UPGRADES = [
+  { id: "hull",      name: "Reinforced Hull",     stat: "maxHull", perLevel: 2,    maxLevel: 5, baseCost: 10, costStep: 10 },
+  { id: "tanks",     name: "Expanded Tanks",      stat: "maxFuel", perLevel: 6,    maxLevel: 5, baseCost: 10, costStep: 10 },
+  { id: "thrusters", name: "Tuned Thrusters",     stat: "thrust",  perLevel: 0.08, maxLevel: 4, baseCost: 20, costStep: 15, requires: { id: "tanks", level: 2 } },
+  { id: "sensors",   name: "Long-Range Sensors",  stat: "vision",  perLevel: 1,    maxLevel: 3, baseCost: 25, costStep: 25, requires: { id: "hull", level: 1 } },
+  { id: "salvage",   name: "Salvage Protocols",   stat: "loot",    perLevel: 0.05, maxLevel: 4, baseCost: 30, costStep: 20, requires: { id: "sensors", level: 1 } },
+];
+
+// --- Difficulty ---
+// Chosen when a new game starts and saved with the run: one preset plus any
+// of the modifiers, which stack. Each can set
+//   hazards     odds of the outcomes that hurt (Derelict trap, Gas, Far Corner, ...)
+//   damage      hull damage taken, from anything
+//   fuel        fuel burned flying
+//   hull        max hull
+//   vision      sensor range cap (tiles)
+//   permadeath  death wipes the fragment collection and starts a new run
+//   rewards     credits banked when the run ends
+// Multipliers multiply together; the tightest vision cap wins.
+const DIFFICULTY_PRESETS = [
+  { id: "relaxed", name: "Relaxed", desc: "Half the hazards and damage, easy on fuel", hazards: 0.5, damage: 0.5, fuel: 0.75, rewards: 0.75 },
+  { id: "normal",  name: "Normal",  desc: "The odds as designed" },
+  { id: "hard",    name: "Hard",    desc: "More hazards, harder hits, thirstier engines", hazards: 1.25, damage: 1.5, fuel: 1.25, rewards: 1.5 },
+  { id: "brutal",  name: "Brutal",  desc: "Everything out here wants you dead", hazards: 1.5, damage: 2, fuel: 1.5, rewards: 2 },
+];
+const RUN_MODIFIERS = [
+  { id: "ironman",    name: "Ironman",        desc: "Permadeath: dying wipes every fragment and starts over", permadeath: true, rewards: 1.5 },
+  { id: "hazards",    name: "Double hazards", desc: "Hazards are twice as likely",                           hazards: 2, rewards: 1.3 },
+  { id: "scarceFuel", name: "Scarce fuel",    desc: "Flying burns half as much fuel again",                  fuel: 1.5, rewards: 1.25 },
+  { id: "tinyVision", name: "Tiny vision",    desc: "Sensors reach 2 tiles",                                 vision: 2, rewards: 1.25 },
+  { id: "glassHull",  name: "Glass hull",     desc: "A third of the usual max hull",                         hull: 1 / 3, rewards: 1.5 },
+];
+const DEFAULT_DIFFICULTY = { preset: "normal", modifiers: [] };
+const HAZARD_CAP = 0.95; // scaling never makes a hazard certain
+
+// A known preset and known modifiers (in RUN_MODIFIERS order), whatever came in
+function normalizeDifficulty(d) {
+  const preset = DIFFICULTY_PRESETS.some(p => p.id === d?.preset) ? d.preset : DEFAULT_DIFFICULTY.preset;
+  const wanted = Array.isArray(d?.modifiers) ? d.modifiers : [];
+  return { preset, modifiers: RUN_MODIFIERS.filter(m => wanted.includes(m.id)).map(m => m.id) };
+}
+
+function difficultyEffects(d) {
+  const { preset, modifiers } = normalizeDifficulty(d);
+  const fx = { hazards: 1, damage: 1, fuel: 1, hull: 1, vision: Infinity, permadeath: false, rewards: 1 };
+  const parts = [DIFFICULTY_PRESETS.find(p => p.id === preset), ...RUN_MODIFIERS.filter(m => modifiers.includes(m.id))];
+  for (const part of parts) {
+    for (const key of ["hazards", "damage", "fuel", "hull", "rewards"]) fx[key] *= part[key] ?? 1;
+    if (part.vision !== undefined) fx.vision = Math.min(fx.vision, part.vision);
+    if (part.permadeath) fx.permadeath = true;
+  }
+  return fx;
+}
+
+// "Hard + Ironman, Glass hull"
+function difficultyLabel(d) {
+  const { preset, modifiers } = normalizeDifficulty(d);
+  const name = DIFFICULTY_PRESETS.find(p => p.id === preset).name;
+  if (modifiers.length === 0) return name;
+  return `${name} + ${modifiers.map(id => RUN_MODIFIERS.find(m => m.id === id).name).join(", ")}`;
+}
+
+// --- POI Types ---
+// Every POI type is described by data: how it looks, where and how often it
+// spawns, and what interacting with it does. The defaults below can be
+// extended or overridden from poi-types.json without touching game logic.
+//
+//   type            unique name, also the label on the map
+//   color, icon     map dot colour and the emoji shown before the label
+//   debris          using it throws out debris in its colour (drawing only)
+//   spawnWeight     relative odds for random placement (0 = fixed POIs only)
+//   placement       { minStationDist, maxStationDist, minSpacing } (manhattan tiles)
+//   alwaysVisible   ignores fog of war
+//   requiresLegendary, lockedLog, lockedHint   gate until the Legendary Module is crafted
+//   hint            HUD text when in range
+//   service         built-in behaviour from POI_SERVICES (e.g. "station", "beacon")
+//   outcomes        steps run in order on interact, see runOutcome()
+//   pool, cooldown, regenTime, respawnAfter   depletion, see "POI resources"
+const DEFAULT_POI_TYPES = [
+  {
+    type: "Station", color: "rgba(120,200,255,0.9)", icon: "🛰", spawnWeight: 0,
+    alwaysVisible: true, service: "station", outcomes: [],
+  },
+  {
+    type: "Asteroids", color: "rgba(200,200,120,0.9)", icon: "⛏️", spawnWeight: 0, debris: true,
+    pool: 8, cooldown: 1.2, regenTime: 45,
+    outcomes: [
+      { scrap: [1, 3], legendaryScrap: [2, 4], cargo: { ore: [1, 3] }, log: "⛏️ Asteroids: +{scrap} scrap, +{ore} ore." },
+      { chance: 0.20, damage: 1, log: "⚠️ Took {damage} hull damage from debris." },
+    ],
+  },
+  {
+    type: "Derelict", color: "rgba(200,120,200,0.9)", icon: "📦", spawnWeight: 0,
+    pool: 3, cooldown: 2, regenTime: 120,
+    outcomes: [
+      {
+        chance: 0.60, legendaryChance: 0.75, lootBonus: true, fragment: true,
+        log: "📦 Derelict: found Fragment {fragment}/{total}! ({count}/{total})",
+        logNone: "📦 Derelict: nothing new—collection complete.",
+        else: { scrap: 4, damage: 2, log: "💣 Derelict trap! +{scrap} scrap, took {damage} hull damage." },
+      },
+      { cargo: { electronics: [1, 2] }, log: "📦 Derelict: stripped +{electronics} electronics." },
+      { chance: 0.12, lootBonus: true, module: true, log: "📦 Derelict: salvaged a working {module}!" },
+    ],
+  },
+  {
+    type: "Far Corner", color: "rgba(255,120,120,0.95)", icon: "🧭", spawnWeight: 0,
+    pool: 4, cooldown: 3, regenTime: 90,
+    requiresLegendary: true,
+    lockedLog: "🔒 Far Corner is unreachable. Craft the Legendary Module first.",
+    lockedHint: "Far Corner — locked (craft legendary)",
+    outcomes: [
+      { scrap: [4, 7], log: "🧭 Far Corner: +{scrap} scrap. Strange signals..." },
+      { chance: 0.50, lootBonus: true, fragment: true, log: "🌌 Far Corner: discovered Fragment {fragment}/{total}! ({count}/{total})" },
+      { chance: 0.35, damage: 3, log: "☠️ Hazard surge! Took {damage} hull damage." },
+    ],
+  },
+  {
+    type: "Relay", color: "rgba(120,255,180,0.9)", icon: "📡", spawnWeight: 1,
+    pool: 2, cooldown: 2, regenTime: 60, service: "relay",
+    outcomes: [
+      { scrap: 1, log: "📡 Relay: +{scrap} scrap." },
+    ],
+  },
+  {
+    type: "Wreckage", color: "rgba(180,180,180,0.9)", icon: "🧩", spawnWeight: 1, debris: true,
+    pool: 4, cooldown: 1, respawnAfter: 60,
+    outcomes: [
+      { scrap: [1, 3], cargo: { electronics: 1 }, log: "🧩 Wreckage: +{scrap} scrap, +{electronics} electronics." },
+      { chance: 0.05, lootBonus: true, module: true, log: "🧩 Wreckage: pulled a {module} out of the debris!" },
+      { chance: 0.15, damage: 1, log: "⚠️ Sharp debris: took {damage} hull damage." },
+    ],
+  },
+  {
+    type: "Gas", color: "rgba(120,180,255,0.9)", icon: "☁️", spawnWeight: 1,
+    pool: 5, cooldown: 1.5, regenTime: 30,
+    outcomes: [
+      {
+        chance: 0.35, damage: 2, log: "☁️ Gas Cloud: corrosive! took {damage} hull damage.",
+        else: { scrap: 3, cargo: { gas: [2, 4] }, log: "☁️ Gas Cloud: harvested condensates. +{scrap} scrap, +{gas} gas." },
+      },
+    ],
+  },
+  {
+    type: "Beacon", color: "rgba(255,220,120,0.9)", icon: "🛰️", spawnWeight: 1,
+    cooldown: 2,
+    service: "beacon", outcomes: [],
+  },
+  {
+    type: "Jump Gate", color: "rgba(190,140,255,0.95)", icon: "🌀", spawnWeight: 0,
+    alwaysVisible: true, service: "gate", outcomes: [],
+  },
+];
+
+const DEFAULT_POI_COLOR = "rgba(120,200,255,0.9)";
+
+// Substitute {name} placeholders in outcome log text
+function formatText(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+// --- POI Generation ---
+const EXTRA_POI_COUNT = 26; // tune 20–40
+const MIN_DIST_FROM_STATION = 4; // default placement rules, per type overridable
+const MIN_POI_SPACING = 2;
+
+// --- Galaxy ---
+// Sectors sit on a GALAXY_W x GALAXY_H grid with the home sector (Station,
+// Far Corner, ...) in the middle. Each sector is GRID_W x GRID_H tiles with
+// its own POIs and enemies, generated from the run seed the first time it is
+// entered and saved from then on. Depth (sectors away from home) raises both
+// danger and rewards. Neighbouring sectors are linked by Jump Gates on the
+// matching edges.
+const GALAXY_W = 7;
+const GALAXY_H = 7;
+const HOME_SECTOR = { x: 3, y: 3 };
+const HOME_SECTOR_KEY = keyXY(HOME_SECTOR.x, HOME_SECTOR.y);
+const JUMP_FUEL_COST = 6;
+const REWARD_PER_DEPTH = 0.25; // +25% scrap per sector of depth
+
+// Neighbour offsets and the edge tile their gate sits on
+const GATE_EDGES = [
+  { dx: -1, dy: 0, x: 0,          y: GRID_H >> 1 },
+  { dx: 1,  dy: 0, x: GRID_W - 1, y: GRID_H >> 1 },
+  { dx: 0,  dy: -1, x: GRID_W >> 1, y: 0 },
+  { dx: 0,  dy: 1,  x: GRID_W >> 1, y: GRID_H - 1 },
+];
+
+function sectorDepth(key) {
+  const s = parseKeyXY(key);
+  return manhattan(s.x, s.y, HOME_SECTOR.x, HOME_SECTOR.y);
+}
+
+// Coordinates shown to the player, relative to home
+function sectorLabel(key) {
+  const s = parseKeyXY(key);
+  return `(${s.x - HOME_SECTOR.x}, ${s.y - HOME_SECTOR.y})`;
+}
+
+// Placement rules measure "station distance" from here
+function sectorAnchor(key) {
+  if (key === HOME_SECTOR_KEY) return FIXED_POIS.find(p => p.type === "Station");
+  return { x: GRID_W >> 1, y: GRID_H >> 1 };
+}
+
+function sectorGates(key) {
+  const s = parseKeyXY(key);
+  const gates = [];
+  for (const edge of GATE_EDGES) {
+    const nx = s.x + edge.dx, ny = s.y + edge.dy;
+    if (nx < 0 || ny < 0 || nx >= GALAXY_W || ny >= GALAXY_H) continue;
+    gates.push({ x: edge.x, y: edge.y, type: "Jump Gate", to: keyXY(nx, ny) });
+  }
+  return gates;
+}
+
+// --- Exploration ---
+// Each sector keeps a chart: which tiles have been in sensor range, and the
+// POI type last seen on each tile. Saved as a "0"/"1" string (one per tile,
+// row by row) plus a { "x,y": type } map.
+function emptyChart() {
+  return { explored: new Uint8Array(GRID_W * GRID_H), seen: {} };
+}
+
+function encodeChart(chart) {
+  return { explored: chart.explored.join(""), seen: { ...chart.seen } };
+}
+
+function decodeChart(data) {
+  const chart = emptyChart();
+  const bits = typeof data?.explored === "string" ? data.explored : "";
+  for (let i = 0; i < chart.explored.length; i++) chart.explored[i] = bits[i] === "1" ? 1 : 0;
+  chart.seen = { ...data?.seen };
+  return chart;
+}
+
+// --- Spatial index ---
+// POIs bucketed into INDEX_CELL x INDEX_CELL tile cells, so a lookup around a
+// point only looks at the cells it covers instead of every POI in the sector.
+const INDEX_CELL = 4;
+
+function buildPOIIndex(list) {
+  const cells = new Map(); // "cx,cy" -> [[index in list, poi], ...] in list order
+  list.forEach((p, i) => {
+    const key = keyXY(Math.floor(p.x / INDEX_CELL), Math.floor(p.y / INDEX_CELL));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push([i, p]);
+  });
+  return { list, size: list.length, cells };
+}
+
+// Entries of every cell overlapping the tile rectangle (inclusive)
+function indexEntries(index, minX, minY, maxX, maxY) {
+  const found = [];
+  for (let cy = Math.floor(minY / INDEX_CELL); cy <= Math.floor(maxY / INDEX_CELL); cy++) {
+    for (let cx = Math.floor(minX / INDEX_CELL); cx <= Math.floor(maxX / INDEX_CELL); cx++) {
+      const cell = index.cells.get(keyXY(cx, cy));
+      if (cell) found.push(...cell);
+    }
+  }
+  return found;
+}
+
+// The closest POI within `radius` of (wx, wy); ties go to the earlier one
+// in the list, as a plain scan would
+function nearestInIndex(index, wx, wy, radius) {
+  let best = null;
+  for (const [i, p] of indexEntries(index, wx - radius, wy - radius, wx + radius, wy + radius)) {
+    const d = Math.hypot(p.x - wx, p.y - wy);
+    if (d <= radius && (!best || d < best.d || (d === best.d && i < best.i))) best = { d, i, poi: p };
+  }
+  return best ? best.poi : null;
+}
+
+// --- Save/Load ---
+// Saves are versioned. Any change to the payload shape bumps SAVE_VERSION and
+// adds a step to SAVE_MIGRATIONS that upgrades the previous version, so old
+// saves keep loading instead of being silently replaced.
+const SAVE_VERSION = 13;
+const LEGACY_SAVE_KEY = "iso_space_save"; // single unversioned slot, pre-slots
+const SLOT_PREFIX = "iso_space_save:";
+const SLOTS_KEY = "iso_space_slots";      // { active, names }
+const BACKUP_PREFIX = "iso_space_backup:";
+const DEFAULT_SLOT = "Slot 1";
+const MAX_SLOT_NAME = 24;
+
+// SAVE_MIGRATIONS[n] turns a version n payload into version n + 1
+const SAVE_MIGRATIONS = {
+  // v1 → v2: seeds and per-run tallies. Saves written before seeding get a
+  // fresh seed; the sector they carry stays as it is.
+  1: (data) => ({
+    ...data,
+    seed: typeof data.seed === "string" ? data.seed : makeRandomSeed(),
+    run: { distance: 0, scrapEarned: 0, ...data.run },
+  }),
+  // v2 → v3: hostile ships. null means "spawn them from the seed on load".
+  2: (data) => ({ ...data, enemies: null }),
+  // v3 → v4: the single sector becomes the home sector of a galaxy. It gets
+  // its Jump Gates, and generated POIs crowding a gate tile make way.
+  3: (data) => {
+    const gates = sectorGates(HOME_SECTOR_KEY);
+    const fixed = new Set(FIXED_POIS.map(p => keyXY(p.x, p.y)));
+    const kept = (data.pois ?? []).filter(p =>
+      fixed.has(keyXY(p.x, p.y)) || !gates.some(g => manhattan(p.x, p.y, g.x, g.y) <= 1));
+    return { ...data, pois: [...kept, ...gates], galaxy: { current: HOME_SECTOR_KEY, sectors: {} } };
+  },
+  // v4 → v5: cargo hold, consumables and crafted modules
+  4: (data) => ({ ...data, ship: { cargo: {}, items: {}, modules: [], ...data.ship } }),
+  // v5 → v6: POI depletion. Pools are filled lazily by ensurePOIState().
+  5: (data) => ({ ...data, worldTime: 0 }),
+  // v6 → v7: exploration charts. null means nothing charted yet; parked
+  // sectors without one start uncharted too.
+  6: (data) => ({ ...data, chart: null }),
+  // v7 → v8: slotted loadout. Installed modules go into their slots; any
+  // that clash become spares.
+  7: (data) => {
+    const { modules = [], ...ship } = data.ship;
+    const loadout = emptyLoadout();
+    const spares = [];
+    for (const id of modules) {
+      const slot = MODULES[id]?.slot;
+      if (!slot) continue;
+      if (loadout[slot] === null) loadout[slot] = id;
+      else spares.push(id);
+    }
+    return { ...data, ship: { ...ship, loadout, spares } };
+  },
+  // v8 → v9: contracts
+  8: (data) => ({ ...data, contracts: emptyContracts() }),
+  // v9 → v10: encounters seen this run, and the one left open
+  9: (data) => ({ ...data, encounters: { seen: [], open: null } }),
+  // v10 → v11: scanner timers and the last ping. null means ready.
+  10: (data) => ({ ...data, scanner: null }),
+  // v11 → v12: run statistics. Older runs count from the start of the save.
+  11: (data) => ({ ...data, run: { ...emptyRun(), ...data.run } }),
+  // v12 → v13: difficulty. Older runs were all played on Normal.
+  12: (data) => ({ ...data, difficulty: { ...DEFAULT_DIFFICULTY } }),
+};
+
+// Bring any supported payload up to SAVE_VERSION. Throws on anything that
+// isn't a save, or comes from a newer build.
+function migrateSave(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("not a save object");
+  }
+  let version = data.version ?? 1; // the original blob had no version field
+  if (!Number.isInteger(version) || version < 1) throw new Error(`bad version ${data.version}`);
+  if (version > SAVE_VERSION) throw new Error(`save is version ${version}, this build reads up to ${SAVE_VERSION}`);
+
+  while (version < SAVE_VERSION) {
+    data = SAVE_MIGRATIONS[version](data);
+    version++;
+  }
+  data.version = version;
+
+  if (!data.ship || typeof data.ship !== "object") throw new Error("missing ship");
+  if (!data.player || typeof data.player !== "object") throw new Error("missing player");
+  if (!Array.isArray(data.pois) || data.pois.length === 0) throw new Error("missing sector");
+  if (typeof data.galaxy?.current !== "string") throw new Error("missing galaxy");
+  return data;
+}
+
+// --- Physics ---
+// Player ship handling before upgrades and modules, see shipStats()
+const SHIP_ACCEL = 24;
+const BOOST_ACCEL = 38;
+const SHIP_MAX_SPEED = 9;
+const BOOST_MAX_SPEED = 14;
+const SHIP_DRAG = 3.2;
+const BRAKE_DRAG = 14; // with the brake held
+
+// Fuel burned per tile flown
+const FUEL_PER_TILE = 1.0;
+const BOOST_FUEL_PER_TILE = 1.6;
+
+// Shared ship physics: thrust along the unit vector (ax, ay), exponential
+// drag, and a soft speed cap. Used by the player and by enemy ships.
+function stepShip(body, ax, ay, accel, maxSpeed, drag, dt) {
+  body.vx += ax * accel * dt;
+  body.vy += ay * accel * dt;
+
+  const dragFactor = Math.exp(-drag * dt);
+  body.vx *= dragFactor;
+  body.vy *= dragFactor;
+
+  const sp = Math.hypot(body.vx, body.vy);
+  if (sp > maxSpeed) {
+    const over = sp - maxSpeed;
+    const damp = Math.exp(-over * 0.35 * dt);
+    body.vx *= damp;
+    body.vy *= damp;
+  }
+}
+
+// --- Autopilot ---
+// Flies to a waypoint tile with the same thrust and brake as the keys.
+const AUTOPILOT_ARRIVE = 0.2; // tiles from the waypoint that count as there
+const AUTOPILOT_SETTLE = 0.6; // ...once slower than this
+
+// --- Scanner ---
+// An active ping: burns fuel, then for a while shows every POI within its
+// radius, charts that area and reads out what each POI there holds.
+// Interacting with a Beacon boosts the range for a while and recharges it.
+const PING_FUEL = 2;
+const PING_COOLDOWN = 10;     // seconds
+const PING_RADIUS = 8;        // tiles, plus sensor range bonuses
+const PING_REVEAL = 12;       // seconds pinged POIs stay on screen
+const PING_SPEED = 20;        // tiles/s the pulse expands at (drawing only)
+const BEACON_BOOST = 5;       // extra ping range...
+const BEACON_BOOST_TIME = 90; // ...for this many seconds
+
+// --- Fixed timestep ---
+// The simulation only ever advances in FIXED_DT steps (see step()), so the
+// same inputs on the same ticks always give the same run. The front end
+// interpolates between the last two steps when drawing.
+const FIXED_DT = 1 / 60;
+
+// Bit order of `input` in a recorded tick
+const INPUT_KEYS = ["up", "down", "left", "right", "boost", "brake", "fire"];
+
+// An analog stick (stickX/stickY, -1..1) is recorded in the bits above the
+// keys, each axis as a 5-bit two's complement count of STICK_STEPS. Zero
+// bits mean a centred stick, so recordings without one read back the same.
+const STICK_STEPS = 15;
+const STICK_SHIFT = INPUT_KEYS.length;
+
+function stickBits(v) {
+  return Math.round(clamp(Number(v) || 0, -1, 1) * STICK_STEPS) & 31;
+}
+
+function stickValue(bits) {
+  return (bits >= 16 ? bits - 32 : bits) / STICK_STEPS;
+}
+
+function inputMask(input) {
+  let mask = 0;
+  INPUT_KEYS.forEach((k, i) => { if (input[k]) mask |= 1 << i; });
+  mask |= stickBits(input.stickX) << STICK_SHIFT;
+  mask |= stickBits(input.stickY) << (STICK_SHIFT + 5);
+  return mask;
+}
+
+function applyInputMask(input, mask) {
+  INPUT_KEYS.forEach((k, i) => { input[k] = (mask & (1 << i)) !== 0; });
+  input.stickX = stickValue((mask >> STICK_SHIFT) & 31);
+  input.stickY = stickValue((mask >> (STICK_SHIFT + 5)) & 31);
+}
+
+// --- Hostiles ---
+// Enemy ships fly with the same thrust/drag model as the player (stepShip),
+// patrol around a home point, chase once the player is within detectRadius
+// and give up past loseRadius. Combat is projectiles with radius hit checks.
+const ENEMY_TYPES = {
+  Drone: {
+    color: "rgba(255,150,90,0.95)", hull: 2, weight: 2, depthWeight: 0, minStationDist: 5,
+    accel: 14, maxSpeed: 6, drag: 2.6,
+    detectRadius: 3.5, loseRadius: 6, patrolRadius: 2.5,
+    fireRange: 3, fireCooldown: 1.6, shotSpeed: 9, shotDamage: 1,
+    scrap: [1, 2],
+  },
+  Pirate: {
+    color: "rgba(255,80,80,0.95)", hull: 5, weight: 1, depthWeight: 0.6, minStationDist: 9,
+    accel: 20, maxSpeed: 8, drag: 3.0,
+    detectRadius: 5, loseRadius: 8, patrolRadius: 3.5,
+    fireRange: 4, fireCooldown: 1.1, shotSpeed: 11, shotDamage: 1,
+    scrap: [3, 6],
+  },
+};
+
+const ENEMY_COUNT = 7;        // in the home sector
+const ENEMIES_PER_DEPTH = 2;  // extra per sector of depth
+const HIT_RADIUS = 0.45;   // tiles, projectile vs ship
+
+// Player gun; auto-aims at the nearest visible enemy in range, otherwise
+// fires along the current heading
+const WEAPON = { cooldown: 0.35, speed: 16, range: 6, damage: 1 };
+
+function makeEnemy(type, x, y) {
+  return {
+    type, hull: ENEMY_TYPES[type].hull,
+    wx: x, wy: y, vx: 0, vy: 0,
+    homeX: x, homeY: y,
+    targetX: x, targetY: y,
+    state: "patrol",
+    cooldown: 0,
+  };
+}
+
+// Saved enemies come back patrolling; unknown types are dropped
+function restoreEnemies(list) {
+  return list
+    .filter(e => ENEMY_TYPES[e?.type])
+    .map(e => ({ ...makeEnemy(e.type, e.homeX ?? e.wx, e.homeY ?? e.wy), wx: e.wx, wy: e.wy, hull: e.hull ?? ENEMY_TYPES[e.type].hull }));
+}
+
+// --- Station services ---
+const REPAIR_STEP = 5;   // hull per repair unit
+const REPAIR_PRICE = 3;  // scrap per repair unit
+const REFUEL_STEP = 5;   // fuel per refuel unit
+const REFUEL_PRICE = 1;  // scrap per refuel unit
+
+// --- Contracts ---
+// Jobs posted on the Station's board and picked up at Relays. Each has one
+// objective and pays `reward` scrap (already scaled by the depth of the
+// sector it was taken in); some carry a deadline in world seconds.
+//
+//   deliver   bring `count` of `resource` to the POI at (x, y) in `sector`, press E there
+//   scan      interact with `count` different Beacons
+//   survey    fly to the Far Corner (no need to unlock it)
+//   clear     destroy `count` hostiles anywhere
+const CONTRACT_KINDS = {
+  deliver: { name: "Delivery", weight: 3 },
+  scan:    { name: "Beacon scan", weight: 2 },
+  survey:  { name: "Survey", weight: 1 },
+  clear:   { name: "Bounty", weight: 2 },
+};
+const DELIVERY_TARGETS = ["Station", "Relay", "Beacon"];
+const MAX_CONTRACTS = 3;     // active at once
+const CONTRACT_OFFERS = 3;   // on the Station board
+const CONTRACT_DEADLINE_CHANCE = 0.4;
+const CONTRACT_RUSH_BONUS = 1.5; // reward multiplier for taking one with a deadline
+
+// What a contract asks for, for the log and the HUD
+function contractText(c) {
+  const where = c.sector === HOME_SECTOR_KEY ? "" : ` in sector ${sectorLabel(c.sector)}`;
+  switch (c.kind) {
+    case "deliver": return `Deliver ${c.count} ${RESOURCES[c.resource].name.toLowerCase()} to the ${c.target} at (${c.x}, ${c.y})${where}`;
+    case "scan":    return `Scan ${c.count} Beacon${c.count === 1 ? "" : "s"} (${c.progress}/${c.count})`;
+    case "survey":  return "Survey the Far Corner";
+    case "clear":   return `Destroy ${c.count} hostiles (${c.progress}/${c.count})`;
+    default:        return c.kind;
+  }
+}
+
+function emptyContracts() {
+  return { active: [], offers: [], nextId: 1, completed: 0 };
+}
+
+// --- Achievements ---
+// Goals to chase across runs. Unlocks and the best progress towards each are
+// kept under their own key, so neither death nor newGame() touches them.
+// An achievement is checked whenever one of its `events` (GAME_EVENTS names)
+// fires: `progress(game)` says how far the player is now, and reaching
+// `goal` unlocks it (`format: "time"` marks goals counted in seconds). A
+// goal can be a function of the game too, for goals that follow the POI
+// types registered.
+// Progress only ever goes up, so the per-run ones show the closest run so far.
+const ACHIEVEMENTS_KEY = "iso_space_achievements";
+const ACHIEVEMENTS = [
+  {
+    id: "firstKill", name: "First Blood", desc: "Destroy a hostile", goal: 1,
+    events: ["kill"], progress: (g) => g.run.kills,
+  },
+  {
+    id: "farCorner", name: "Edge of the Map", desc: "Reach the Far Corner and use it", goal: 1,
+    events: ["interact"], progress: (g) => (g.run.visits["Far Corner"] ? 1 : 0),
+  },
+  {
+    id: "tourist", name: "Sightseer", desc: "Use every kind of POI in one run (bar those locked behind the Legendary Module)",
+    goal: (g) => g.visitablePOITypes().length,
+    events: ["interact"], progress: (g) => g.visitablePOITypes().filter(type => g.run.visits[type]).length,
+  },
+  {
+    id: "survivor", name: "Survivor", desc: "Stay alive for 10 minutes in one run", goal: 600, format: "time",
+    events: ["tick"], progress: (g) => Math.floor(g.worldTime - g.run.startedAt),
+  },
+  {
+    id: "onFumes", name: "Running on Fumes", desc: "Run the tank dry and still make it home to the Station", goal: 1,
+    events: ["station"], progress: (g) => (g.run.ranDry && g.galaxy.current === HOME_SECTOR_KEY ? 1 : 0),
+  },
+  {
+    id: "deathless", name: "Unbroken", desc: `Find all ${FRAG_TOTAL} fragments without dying`, goal: FRAG_TOTAL,
+    events: ["fragment"], progress: (g) => g.run.fragments,
+  },
+  {
+    id: "legendary", name: "Legend", desc: "Craft the Legendary Module", goal: 1,
+    events: ["craft"], progress: (g) => (g.ship.hasLegendary ? 1 : 0),
+  },
+  {
+    id: "deepSpace", name: "Deep Space", desc: "Reach a sector 3 jumps from home", goal: 3,
+    events: ["jump"], progress: (g) => sectorDepth(g.galaxy.current),
+  },
+  {
+    id: "contractor", name: "Contractor", desc: "Complete 5 contracts in one game", goal: 5,
+    events: ["resource"], progress: (g) => g.contracts.completed,
+  },
+  {
+    id: "ironWill", name: "Iron Will", desc: `Collect all ${FRAG_TOTAL} fragments on Ironman`, goal: FRAG_TOTAL,
+    events: ["fragment"], progress: (g) => (difficultyEffects(g.difficulty).permadeath ? g.fragmentsCount() : 0),
+  },
+  {
+    id: "veteran", name: "Veteran", desc: "Bank 1000 credits in total", goal: 1000,
+    events: ["runEnd"], progress: (g) => g.meta.totalEarned,
+  },
+];
+
+// --- Events ---
+// Everything the game announces, with its arguments. The `hooks` given to
+// createGame() and listeners added with on() (e.g. by plugins) hear them.
+const GAME_EVENTS = {
+  log:         "(lines) the log changed (newest line first)",
+  death:       "() the ship was destroyed and has respawned at home",
+  station:     "() the player docked at a Station (E)",
+  jump:        "() the player arrived in another sector",
+  runEnd:      "(summary) a run was banked: { distance, scrapEarned, credits, ... }",
+  encounter:   "(card) an encounter opened and waits for chooseEncounter()",
+  damage:      "(amount, cause) the hull took a hit (before any death)",
+  interact:    "(type) a POI of that type was used",
+  kill:        "(type, x, y) a hostile of that type was destroyed at (x, y)",
+  resource:    "(id, delta, total) scrap or a cargo resource was gained, spent or sold",
+  fragment:    "(fragment, count) a fragment was found; count is the collection size",
+  newGame:     "(seed, difficulty) a fresh run started (New Game, or after an Ironman death)",
+  tick:        "(dt) the simulation advanced by dt seconds",
+  craft:       "(id) the RECIPES entry with that id was crafted",
+  achievement: "(achievement) an ACHIEVEMENTS entry was unlocked",
+};
+
+// --- Game ---
+// One independent game. `storage` is anything with localStorage's
+// getItem/setItem/removeItem, `clock.now()` stamps saves and backups, and
+// `hooks` lets the caller react to things the core can't show itself: one
+// function per GAME_EVENTS name.
+function createGame({ storage = createMemoryStorage(), clock = Date, hooks = {} } = {}) {
+  const listeners = {}; // event name -> functions added with on()
+
+  function emit(name, ...args) {
+    if (hooks[name]) hooks[name](...args);
+    for (const fn of listeners[name] ?? []) fn(...args);
+  }
+
+  // Listen for a GAME_EVENTS event; returns a function that stops listening
+  function on(name, fn) {
+    if (!(name in GAME_EVENTS)) throw new Error(`unknown game event "${name}"`);
+    if (!listeners[name]) listeners[name] = [];
+    listeners[name].push(fn);
+    return () => {
+      listeners[name] = listeners[name].filter(f => f !== fn);
+    };
+  }
+
+  // --- State ---
+  const player = {
+    wx: 12, wy: 12,  // world position (float tiles)
+    vx: 0,  vy: 0,   // velocity in world space
+  };
+
+  const ship = {
+    hull: 10,
+    maxHull: 10,
+    scrap: 0,
+    hasLegendary: false,
+    fragments: new Set(), // holds 1..10
+    fuel: 30,
+    maxFuel: 30,
+    cargo: emptyCargo(),  // resource id -> amount, see RESOURCES
+    items: emptyItems(),  // consumable id -> count, see ITEMS
+    loadout: emptyLoadout(), // slot -> module id or null, see SLOTS / MODULES
+    spares: [],           // module ids carried but not fitted
+  };
+
+  const input = {
+    up: false, down: false, left: false, right: false,
+    boost: false,
+    brake: false,
+    fire: false,
+    stickX: 0, stickY: 0, // analog thrust, used when no thrust key is held
+  };
+
+  // Per-run tallies; credits come from them when the run ends
+  const run = emptyRun();
+
+  // This run's difficulty, see DIFFICULTY_PRESETS / RUN_MODIFIERS
+  let difficulty = { ...DEFAULT_DIFFICULTY };
+
+  let pois = []; // loaded or generated
+
+  // Rebuilt when `pois` is replaced or grows; relocatePOI() drops it
+  let poiIndex = null;
+  function currentPOIIndex() {
+    if (!poiIndex || poiIndex.list !== pois || poiIndex.size !== pois.length) poiIndex = buildPOIIndex(pois);
+    return poiIndex;
+  }
+
+  // POIs on tiles inside the rectangle (inclusive), e.g. what's on screen
+  function poisInArea(minX, minY, maxX, maxY) {
+    return indexEntries(currentPOIIndex(), minX, minY, maxX, maxY)
+      .map(([, p]) => p)
+      .filter(p => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY);
+  }
+
+  // --- Log ---
+  let logLines = [];
+  function addLog(text) {
+    logLines.unshift(text);
+    logLines = logLines.slice(0, 8);
+    emit("log", logLines);
+  }
+
+  function clearLog() {
+    logLines = [];
+    emit("log", logLines);
+  }
+
+  // --- RNG ---
+  let runSeed = "";
+  const rng = { state: 0 };
+  const random = mulberry32(rng);
+
+  function seedRng(seed) {
+    runSeed = String(seed);
+    rng.state = hashSeed(runSeed);
+  }
+
+  function randInt(min, max, rnd = random) {
+    return Math.floor(rnd() * (max - min + 1)) + min;
+  }
+
+  function chance(p01, rnd = random) {
+    return rnd() < p01;
+  }
+
+  function fragmentsCount() {
+    return ship.fragments.size;
+  }
+
+  function getRandomMissingFragment() {
+    const missing = [];
+    for (let i = 1; i <= FRAG_TOTAL; i++) {
+      if (!ship.fragments.has(i)) missing.push(i);
+    }
+    if (missing.length === 0) return null;
+    return missing[Math.floor(random() * missing.length)];
+  }
+
+  function getNearestPOI(wx, wy, radius = 0.65) {
+    return nearestInIndex(currentPOIIndex(), wx, wy, radius);
+  }
+
+  // --- Damage / Repair / Spend ---
+  // What a hit of `amount` really takes off on this difficulty (at least 1)
+  function hullDamage(amount) {
+    return Math.max(1, Math.round(amount * difficultyEffects(difficulty).damage));
+  }
+
+  // `cause` is what the run summary blames it on; `amount` is scaled by
+  // the difficulty, see hullDamage(). Returns the hull actually lost (0 when
+  // the armor took it), for the caller's log line.
+  function damage(amount, cause = "other") {
+    const { armor } = shipStats();
+    if (armor > 0 && chance(armor)) {
+      addLog("🛡️ The armor shrugged off a hit.");
+      return 0;
+    }
+    const hit = hullDamage(amount);
+    const taken = Math.min(hit, ship.hull);
+    ship.hull = clamp(ship.hull - hit, 0, ship.maxHull);
+    run.damage[cause] = (run.damage[cause] ?? 0) + taken;
+    emit("damage", taken, cause);
+
+    if (ship.hull <= 0 && difficultyEffects(difficulty).permadeath) {
+      addLog("💀 Ship destroyed on Ironman! The collection is lost with it.");
+      const earned = endRun({ end: "destroyed", cause });
+      // the next seed comes from this run's, so replays stay exact
+      addLog(`💠 Banked ${earned} credits (${meta.credits} total).`);
+      freshRun(makeRandomSeed(random));
+      addLog(`🆕 Starting over in a fresh sector (seed ${runSeed}).`);
+      emit("newGame", runSeed, difficulty);
+      saveGame();
+      emit("death");
+    } else if (ship.hull <= 0) {
+      addLog("💥 Ship destroyed! Resetting run (keeping collection).");
+      const earned = endRun({ end: "destroyed", cause });
+      addLog(`💠 Banked ${earned} credits (${meta.credits} total).`);
+
+      ship.scrap = 0;
+      ship.cargo = emptyCargo();
+      ship.items = emptyItems();
+      const lost = loseModules();
+      if (lost.length > 0) addLog(`🧩 Lost with the ship: ${lost.map(id => MODULES[id].name).join(", ")}.`);
+      applyShipStats();
+      ship.hull = ship.maxHull;
+      ship.fuel = ship.maxFuel;
+
+      // Respawn in the home sector
+      enterSector(HOME_SECTOR_KEY);
+      placePlayer(12, 12);
+      projectiles = [];
+      for (const e of enemies) e.state = "patrol";
+
+      saveGame();
+      emit("death");
+    }
+    return taken;
+  }
+
+  function repair(amount) {
+    ship.hull = clamp(ship.hull + amount, 0, ship.maxHull);
+  }
+
+  function spendScrap(amount) {
+    if (ship.scrap < amount) return false;
+    ship.scrap -= amount;
+    run.scrapSpent += amount;
+    emit("resource", "scrap", -amount, ship.scrap);
+    return true;
+  }
+
+  function gainScrap(amount) {
+    ship.scrap += amount;
+    run.scrapEarned += amount;
+    emit("resource", "scrap", amount, ship.scrap);
+  }
+
+  // Scrap roll that the Salvage Protocols upgrade can bump by one
+  function lootRoll(min, max) {
+    const bonus = chance(shipStat("loot")) ? 1 : 0;
+    return randInt(min, max) + bonus;
+  }
+
+  // --- Cargo ---
+  function cargoUsed() {
+    let used = 0;
+    for (const id of Object.keys(RESOURCES)) used += ship.cargo[id];
+    return used;
+  }
+
+  function cargoCapacity() {
+    return shipStats().cargo;
+  }
+
+  // Stores as much as fits; returns how much was actually loaded
+  function addCargo(id, amount) {
+    const stored = Math.max(0, Math.min(amount, cargoCapacity() - cargoUsed()));
+    ship.cargo[id] += stored;
+    if (stored > 0) emit("resource", id, stored, ship.cargo[id]);
+    return stored;
+  }
+
+  function removeCargo(id, amount) {
+    ship.cargo[id] -= amount;
+    if (amount > 0) emit("resource", id, -amount, ship.cargo[id]);
+  }
+
+  // `cost` maps "scrap", "fuel" and/or resource ids to amounts
+  function canAfford(cost) {
+    for (const [id, n] of Object.entries(cost)) {
+      const have = id === "scrap" ? ship.scrap : id === "fuel" ? ship.fuel : ship.cargo[id] ?? 0;
+      if (have < n) return false;
+    }
+    return true;
+  }
+
+  function payCost(cost) {
+    if (!canAfford(cost)) return false;
+    for (const [id, n] of Object.entries(cost)) {
+      if (id === "scrap") spendScrap(n);
+      else if (id === "fuel") ship.fuel -= n;
+      else removeCargo(id, n);
+    }
+    return true;
+  }
+
+  // --- Crafting ---
+  // Why a recipe can't be crafted right now, or null if it can
+  function recipeBlocker(r) {
+    if (r.gives.module && ownsModule(r.gives.module)) return "owned";
+    if (r.gives.module && !moduleFits(r.gives.module)) return "no room for spares";
+    if (r.gives.legendary && ship.hasLegendary) return "crafted";
+    if (r.requires?.fragments && fragmentsCount() < r.requires.fragments) {
+      return `needs ${r.requires.fragments} fragments`;
+    }
+    if (!canAfford(r.cost)) return "missing materials";
+    return null;
+  }
+
+  function craft(id) {
+    const r = RECIPES.find(x => x.id === id);
+    if (!r) return false;
+
+    const blocker = recipeBlocker(r);
+    if (blocker) {
+      addLog(`🔧 Can't craft ${r.name}: ${blocker}.`);
+      return false;
+    }
+    payCost(r.cost);
+
+    if (r.gives.item) {
+      ship.items[r.gives.item] += 1;
+      addLog(`🔧 Crafted ${r.name} (${ship.items[r.gives.item]} carried, ${ITEMS[r.gives.item].key.toUpperCase()} to use).`);
+    } else if (r.gives.module) {
+      const m = MODULES[r.gives.module];
+      if (gainModule(r.gives.module) === "equipped") addLog(`🔧 Installed ${r.name}: ${m.desc}.`);
+      else addLog(`🔧 Crafted ${r.name}. Your ${SLOTS[m.slot].name} slot is taken, so it's a spare (I to swap).`);
+    } else if (r.gives.legendary) {
+      ship.hasLegendary = true;
+      applyShipStats();
+      addLog("✨ Crafted LEGENDARY MODULE! Far Corner unlocked.");
+      addLog("Bonus: better loot odds, +1 sensor range, +5% thrust.");
+    }
+
+    saveGame();
+    emit("craft", r.id);
+    return true;
+  }
+
+  // What each consumable does; returns false when it wasn't used up
+  const ITEM_EFFECTS = {
+    repairKit() {
+      if (ship.hull >= ship.maxHull) {
+        addLog("🩹 Hull already full.");
+        return false;
+      }
+      repair(4);
+      addLog("🩹 Repair Kit: +4 hull.");
+      return true;
+    },
+    fuelCell() {
+      if (ship.fuel >= ship.maxFuel) {
+        addLog("🔋 Tanks already full.");
+        return false;
+      }
+      ship.fuel = clamp(ship.fuel + 10, 0, ship.maxFuel);
+      addLog("🔋 Fuel Cell: +10 fuel.");
+      return true;
+    },
+  };
+
+  function useItem(id) {
+    if (ship.items[id] <= 0) {
+      addLog(`No ${ITEMS[id].name}s carried. Craft them at the Station.`);
+      return;
+    }
+    if (ITEM_EFFECTS[id]()) {
+      ship.items[id] -= 1;
+      saveGame();
+    }
+  }
+
+  // --- Meta progression ---
+  const meta = {
+    credits: 0,
+    totalEarned: 0,
+    levels: {}, // upgrade id -> level
+  };
+
+  function loadMeta() {
+    const raw = storage.getItem(META_KEY);
+    if (!raw) return;
+    try {
+      const data = JSON.parse(raw);
+      meta.credits = data.credits ?? 0;
+      meta.totalEarned = data.totalEarned ?? 0;
+      meta.levels = data.levels && typeof data.levels === "object" ? data.levels : {};
+    } catch {
+      // keep defaults
+    }
+  }
+
+  function saveMeta() {
+    storage.setItem(META_KEY, JSON.stringify(meta));
+  }
+
+  function metaLevel(id) {
+    return meta.levels[id] ?? 0;
+  }
+
+  // Total bonus for a stat from every upgrade that raises it
+  function metaStat(stat) {
+    let total = 0;
+    for (const u of META_UPGRADES) {
+      if (u.stat === stat) total += u.perLevel * metaLevel(u.id);
+    }
+    return total;
+  }
+
+  function upgradeCost(u) {
+    return u.baseCost + u.costStep * metaLevel(u.id);
+  }
+
+  function upgradeUnlocked(u) {
+    return !u.requires || metaLevel(u.requires.id) >= u.requires.level;
+  }
+
+  // Bonus to a stat from meta upgrades, equipped modules and the Legendary Module
+  function shipStat(stat) {
+    let total = metaStat(stat);
+    for (const id of Object.values(ship.loadout)) {
+      if (id) total += MODULES[id].stats[stat] ?? 0;
+    }
+    if (ship.hasLegendary) total += LEGENDARY_STATS[stat] ?? 0;
+    return total;
+  }
+
+  // What the ship can do right now; flight, fuel, damage and sensors all
+  // read from here
+  function shipStats() {
+    const fx = difficultyEffects(difficulty);
+    const thrust = 1 + shipStat("thrust");
+    const burn = Math.max(0.1, 1 - shipStat("efficiency")) * fx.fuel;
+    return {
+      maxHull: Math.max(1, Math.round((BASE_HULL + shipStat("maxHull")) * fx.hull)),
+      maxFuel: BASE_FUEL + shipStat("maxFuel"),
+      cargo: CARGO_CAPACITY + shipStat("cargo"),
+      accel: SHIP_ACCEL * thrust,
+      boostAccel: BOOST_ACCEL * thrust,
+      maxSpeed: SHIP_MAX_SPEED * thrust,
+      boostMaxSpeed: BOOST_MAX_SPEED * thrust,
+      drag: SHIP_DRAG,
+      brakeDrag: BRAKE_DRAG + shipStat("brake"),
+      fuelPerTile: FUEL_PER_TILE * burn,
+      boostFuelPerTile: BOOST_FUEL_PER_TILE * burn,
+      vision: visRadius(),
+      armor: clamp(shipStat("armor"), 0, 0.9),
+      loot: shipStat("loot"),
+    };
+  }
+
+  function visRadius() {
+    return Math.min(VIS_RADIUS + shipStat("vision"), difficultyEffects(difficulty).vision);
+  }
+
+  // Recompute max stats from base + upgrades + modules, keeping current
+  // values in range. Newly bought or fitted capacity arrives filled unless
+  // `fill` is false (swapping modules around mustn't top the ship up).
+  function applyShipStats(fill = true) {
+    const stats = shipStats();
+    const hullGain = stats.maxHull - ship.maxHull;
+    const fuelGain = stats.maxFuel - ship.maxFuel;
+    ship.maxHull += hullGain;
+    ship.maxFuel += fuelGain;
+    ship.hull = clamp(ship.hull + (fill ? Math.max(0, hullGain) : 0), 0, ship.maxHull);
+    ship.fuel = clamp(ship.fuel + (fill ? Math.max(0, fuelGain) : 0), 0, ship.maxFuel);
+  }
+
+  // --- Loadout ---
+  function ownsModule(id) {
+    return Object.values(ship.loadout).includes(id) || ship.spares.includes(id);
+  }
+
+  // Somewhere to put it: its slot is free or there's room among the spares
+  function moduleFits(id) {
+    return ship.loadout[MODULES[id].slot] === null || ship.spares.length < MAX_SPARES;
+  }
+
+  // A new module goes straight into a free slot, otherwise among the spares.
+  // Returns "equipped", "spare", or null when there was no room.
+  function gainModule(id) {
+    const m = MODULES[id];
+    if (ship.loadout[m.slot] === null) {
+      ship.loadout[m.slot] = id;
+      applyShipStats();
+      return "equipped";
+    }
+    if (ship.spares.length >= MAX_SPARES) return null;
+    ship.spares.push(id);
+    return "spare";
+  }
+
+  // Fit a spare; whatever was in its slot becomes a spare
+  function equipModule(id) {
+    const i = ship.spares.indexOf(id);
+    if (i < 0) return false;
+    const m = MODULES[id];
+    const old = ship.loadout[m.slot];
+    ship.spares.splice(i, 1);
+    if (old) ship.spares.push(old);
+    ship.loadout[m.slot] = id;
+    applyShipStats(false);
+    addLog(`🧩 Fitted ${m.name} (${m.desc})${old ? `; ${MODULES[old].name} is now a spare` : ""}.`);
+    saveGame();
+    return true;
+  }
+
+  function unequipSlot(slot) {
+    const id = ship.loadout[slot];
+    if (!id) return false;
+    if (ship.spares.length >= MAX_SPARES) {
+      addLog(`🧩 No room among the spares (${MAX_SPARES} max). Jettison one first.`);
+      return false;
+    }
+    ship.loadout[slot] = null;
+    ship.spares.push(id);
+    applyShipStats(false);
+    addLog(`🧩 Removed ${MODULES[id].name}; it's a spare now.`);
+    saveGame();
+    return true;
+  }
+
+  function jettisonModule(id) {
+    const i = ship.spares.indexOf(id);
+    if (i < 0) return false;
+    ship.spares.splice(i, 1);
+    addLog(`🧩 Jettisoned ${MODULES[id].name}.`);
+    saveGame();
+    return true;
+  }
+
+  // On death: the spares and every module that isn't durable go down with
+  // the ship. Returns the ids lost.
+  function loseModules() {
+    const lost = [...ship.spares];
+    for (const slot of Object.keys(SLOTS)) {
+      const id = ship.loadout[slot];
+      if (id && !MODULES[id].durable) {
+        lost.push(id);
+        ship.loadout[slot] = null;
+      }
+    }
+    ship.spares = [];
+    return lost;
+  }
+
+  function buyUpgrade(id) {
+    const u = META_UPGRADES.find(x => x.id === id);
+    if (!u) return false;
+
+    if (!upgradeUnlocked(u)) {
+      const req = META_UPGRADES.find(x => x.id === u.requires.id);
+      addLog(`🔒 ${u.name} needs ${req.name} level ${u.requires.level}.`);
+      return false;
+    }
+    if (metaLevel(u.id) >= u.maxLevel) {
+      addLog(`${u.name} is already maxed.`);
+      return false;
+    }
+    const cost = upgradeCost(u);
+    if (meta.credits < cost) {
+      addLog(`Need ${cost} credits for ${u.name} (have ${meta.credits}).`);
+      return false;
+    }
+
+    meta.credits -= cost;
+    meta.levels[u.id] = metaLevel(u.id) + 1;
+    saveMeta();
+    applyShipStats();
+    saveGame();
+    addLog(`⬆️ ${u.name} upgraded to level ${metaLevel(u.id)}.`);
+    return true;
+  }
+
+  // Scaled by the difficulty's reward multiplier
+  function runCredits() {
+    return Math.floor((Math.floor(run.distance / 5) + run.scrapEarned) * difficultyEffects(difficulty).rewards);
+  }
+
+  // Bank this run's credits, file it in the history and start the next
+  // tally; called whenever a run ends (death or new game). `end` is
+  // "destroyed" (with the `cause`) or "new game".
+  function endRun({ end = "new game", cause = null } = {}) {
+    const earned = runCredits();
+    meta.credits += earned;
+    meta.totalEarned += earned;
+    saveMeta();
+
+    const { startedAt, ...tallies } = run;
+    const summary = {
+      ...JSON.parse(JSON.stringify(tallies)),
+      credits: earned,
+      seconds: worldTime - startedAt,
+      seed: runSeed,
+      difficulty: difficultyLabel(difficulty),
+      end, cause,
+      endedAt: clock.now(),
+      newBests: [],
+    };
+    // Runs abandoned before they got going don't count
+    if (end === "destroyed" || summary.distance > 0 || summary.scrapEarned > 0) recordRun(summary);
+
+    emit("runEnd", summary);
+    Object.assign(run, emptyRun(worldTime));
+    return earned;
+  }
+
+  // --- Run history ---
+  let history = []; // summaries, newest first
+
+  function loadHistory() {
+    try {
+      const data = JSON.parse(storage.getItem(HISTORY_KEY));
+      history = Array.isArray(data) ? data : [];
+    } catch {
+      history = [];
+    }
+  }
+
+  // Best value of each PERSONAL_BESTS stat over the history: id -> { value, run }
+  function personalBests() {
+    const bests = {};
+    for (const { id } of PERSONAL_BESTS) {
+      for (const r of history) {
+        if ((r[id] ?? 0) > (bests[id]?.value ?? 0)) bests[id] = { value: r[id], run: r };
+      }
+    }
+    return bests;
+  }
+
+  function recordRun(summary) {
+    const bests = personalBests();
+    summary.newBests = PERSONAL_BESTS.map(b => b.id).filter(id => summary[id] > (bests[id]?.value ?? 0));
+    history = [summary, ...history].slice(0, MAX_HISTORY);
+    storage.setItem(HISTORY_KEY, JSON.stringify(history));
+  }
+
+  function clearHistory() {
+    history = [];
+    storage.removeItem(HISTORY_KEY);
+  }
+
+  // --- Achievements ---
+  const achievements = {
+    unlocked: {}, // id -> clock.now() when it was unlocked
+    progress: {}, // id -> best progress seen
+  };
+
+  function loadAchievements() {
+    try {
+      const data = JSON.parse(storage.getItem(ACHIEVEMENTS_KEY)) ?? {};
+      achievements.unlocked = data.unlocked && typeof data.unlocked === "object" ? data.unlocked : {};
+      achievements.progress = data.progress && typeof data.progress === "object" ? data.progress : {};
+    } catch {
+      // keep what we have
+    }
+  }
+
+  function saveAchievements() {
+    storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievements));
+  }
+
+  function achievementGoal(a) {
+    return typeof a.goal === "function" ? a.goal(game) : a.goal;
+  }
+
+  // Re-check the achievements that listen for `name`; anything that reached
+  // its goal is unlocked and announced
+  function checkAchievements(name) {
+    let changed = false;
+    for (const a of ACHIEVEMENTS) {
+      if (a.id in achievements.unlocked || !a.events.includes(name)) continue;
+      const goal = achievementGoal(a);
+      const value = Math.min(goal, a.progress(game));
+      if (value <= (achievements.progress[a.id] ?? 0)) continue;
+      achievements.progress[a.id] = value;
+      changed = true;
+      if (value >= goal) {
+        achievements.unlocked[a.id] = clock.now();
+        emit("achievement", a);
+      }
+    }
+    if (changed) saveAchievements();
+  }
+
+  for (const name of new Set(ACHIEVEMENTS.flatMap(a => a.events))) on(name, () => checkAchievements(name));
+
+  // Every achievement with where the player stands: { ...def, progress, unlockedAt }
+  function achievementStatus() {
+    return ACHIEVEMENTS.map(a => {
+      const unlocked = a.id in achievements.unlocked;
+      const goal = achievementGoal(a);
+      return {
+        ...a,
+        goal,
+        progress: unlocked ? goal : Math.min(goal, achievements.progress[a.id] ?? 0),
+        unlockedAt: unlocked ? achievements.unlocked[a.id] : null,
+      };
+    });
+  }
+
+  // --- POI Types ---
+  const POI_TYPES = {}; // type name -> definition
+
+  // Adds a type, or merges into an existing one so a definition file can tune
+  // single fields. Returns an error string instead of throwing so one bad entry
+  // doesn't take the rest of the file down with it.
+  function registerPOIType(def) {
+    if (!def || typeof def.type !== "string" || !def.type) return "entry without a \"type\" name";
+    if (def.service !== undefined && !POI_SERVICES[def.service]) return `${def.type}: unknown service "${def.service}"`;
+    if (def.outcomes !== undefined && !Array.isArray(def.outcomes)) return `${def.type}: "outcomes" must be a list`;
+    if (def.spawnWeight !== undefined && !(def.spawnWeight >= 0)) return `${def.type}: "spawnWeight" must be 0 or more`;
+
+    POI_TYPES[def.type] = { outcomes: [], spawnWeight: 0, ...POI_TYPES[def.type], ...def };
+    return null;
+  }
+
+  // Layer a parsed definition file (poi-types.json) over the defaults.
+  // Returns a list of problems found in it.
+  function registerPOIDefinitions(data) {
+    const list = Array.isArray(data) ? data : data?.types;
+    if (!Array.isArray(list)) return ["expected a \"types\" list"];
+
+    const problems = [];
+    for (const def of list) {
+      const err = registerPOIType(def);
+      if (err) problems.push(err);
+    }
+    return problems;
+  }
+
+  function poiDef(type) {
+    return POI_TYPES[type] ?? null;
+  }
+
+  // Types that can turn up in a sector (spawning, fixed or a gate) and be
+  // used without the Legendary Module
+  function visitablePOITypes() {
+    return Object.values(POI_TYPES)
+      .filter(d => !d.requiresLegendary && (d.spawnWeight > 0 || d.service === "gate" || FIXED_POIS.some(p => p.type === d.type)))
+      .map(d => d.type);
+  }
+
+  // One outcome step. Keys, all optional:
+  //   chance / legendaryChance   roll to run the step; on a miss run `else` instead
+  //   lootBonus                  add the Salvage Protocols bonus to the chance
+  //   scrap / legendaryScrap     number, or [min, max] range (ranges get the loot bonus)
+  //   cargo                      { resource: number or [min, max] }, limited by free cargo space
+  //   fragment                   award a missing fragment (`logNone` if all collected)
+  //   module                     salvage a module: true for a random `salvage` one, or a list of ids
+  //   fuel / repair              refuel or patch the hull: number or [min, max]
+  //   damage                     hull damage, before the difficulty scales it
+  //   log                        log line; {scrap} {fragment} {count} {total} {module}
+  //                              {fuel} {repair} {damage} and {<resource>} are filled in
+  // Scrap and cargo are scaled by the sector's reward multiplier, so log them
+  // via placeholders. Outcome modifiers (see modifyOutcomes()) get a say first.
+  function runOutcome(step, source = "other") {
+    step = modifiedStep(step, source);
+    if (step.chance !== undefined) {
+      if (!chance(stepChance(step))) {
+        if (step.else) runOutcome(step.else, source);
+        return;
+      }
+    }
+
+    const vars = { total: FRAG_TOTAL };
+
+    const scrap = ship.hasLegendary && step.legendaryScrap !== undefined ? step.legendaryScrap : step.scrap;
+    if (scrap !== undefined) {
+      const base = Array.isArray(scrap) ? lootRoll(scrap[0], scrap[1]) : scrap;
+      vars.scrap = Math.round(base * rewardMultiplier());
+      gainScrap(vars.scrap);
+    }
+
+    if (step.cargo) {
+      let spilled = false;
+      for (const [id, amount] of Object.entries(step.cargo)) {
+        if (!RESOURCES[id]) continue;
+        const base = Array.isArray(amount) ? randInt(amount[0], amount[1]) : amount;
+        const wanted = Math.round(base * rewardMultiplier());
+        vars[id] = addCargo(id, wanted);
+        if (vars[id] < wanted) spilled = true;
+      }
+      if (spilled) addLog(`📦 Cargo hold full (${cargoUsed()}/${cargoCapacity()}) — left some behind.`);
+    }
+
+    if (step.fragment) {
+      const frag = getRandomMissingFragment();
+      if (frag === null) {
+        if (step.logNone) addLog(formatText(step.logNone, vars));
+        return;
+      }
+      ship.fragments.add(frag);
+      run.fragments++;
+      vars.fragment = frag;
+      vars.count = fragmentsCount();
+      emit("fragment", frag, vars.count);
+    }
+
+    let stowed = false;
+    if (step.module) {
+      const pool = Array.isArray(step.module) ? step.module.filter(id => MODULES[id]) : SALVAGE_MODULES;
+      const id = pool[randInt(0, pool.length - 1)];
+      if (id) {
+        vars.module = MODULES[id].name;
+        const where = gainModule(id);
+        if (!where) {
+          addLog(`🧩 Found a ${vars.module}, but there's no room for more spares. Left it behind.`);
+          return;
+        }
+        stowed = where === "spare";
+      }
+    }
+
+    if (step.fuel !== undefined) {
+      const before = ship.fuel;
+      ship.fuel = clamp(ship.fuel + (Array.isArray(step.fuel) ? randInt(step.fuel[0], step.fuel[1]) : step.fuel), 0, ship.maxFuel);
+      vars.fuel = Math.round(ship.fuel - before);
+    }
+    if (step.repair !== undefined) {
+      const before = ship.hull;
+      repair(Array.isArray(step.repair) ? randInt(step.repair[0], step.repair[1]) : step.repair);
+      vars.repair = ship.hull - before;
+    }
+
+    if (step.damage) {
+      vars.damage = damage(step.damage, source);
+      // a blocked hit on a step that did nothing else: the armor line says it all
+      if (vars.damage === 0 && Object.keys(vars).length === 2) return;
+    }
+    if (step.log) addLog(formatText(step.log, vars));
+    if (stowed) addLog(`🧩 ${vars.module} stowed as a spare (I to fit it).`);
+  }
+
+  // Functions that may swap an outcome step for another before it runs:
+  // fn(step, source) returns the step to run instead, or nothing to keep
+  // it. `source` is the POI type or encounter title. Steps come straight
+  // from the definitions, so return a changed copy rather than editing one.
+  const outcomeModifiers = [];
+
+  function modifyOutcomes(fn) {
+    outcomeModifiers.push(fn);
+    return () => {
+      const i = outcomeModifiers.indexOf(fn);
+      if (i >= 0) outcomeModifiers.splice(i, 1);
+    };
+  }
+
+  function modifiedStep(step, source) {
+    for (const fn of outcomeModifiers) step = fn(step, source) ?? step;
+    return step;
+  }
+
+  // Odds that a step runs, for this ship. The difficulty scales the odds of
+  // a hazard: a step that does damage, or whose `else` does (like the
+  // Derelict trap).
+  function stepChance(step) {
+    if (step.chance === undefined) return 1;
+    let p = ship.hasLegendary && step.legendaryChance !== undefined ? step.legendaryChance : step.chance;
+    if (step.lootBonus) p += shipStat("loot");
+    const { hazards } = difficultyEffects(difficulty);
+    if (step.damage) p = Math.min(p * hazards, Math.max(p, HAZARD_CAP));
+    else if (step.else?.damage) p = 1 - Math.min((1 - p) * hazards, Math.max(1 - p, HAZARD_CAP));
+    return p;
+  }
+
+  // --- Encounters ---
+  // Text events authored in encounters.json. Interacting with a POI of one
+  // of an encounter's `poi` types may open it instead of the usual dice
+  // roll; each one happens at most once per run. Fields:
+  //   id, title, text        what the card shows
+  //   poi                    list of POI types it can happen at
+  //   chance, weight         odds once picked (default 1), and pick weight among eligible ones
+  //   requires               conditions for it to happen at all
+  //   choices                2–4 of { label, requires, cost, outcomes }
+  // A choice's `cost` ({ scrap, fuel, <resource> }) is paid when it's taken.
+  // One of its `outcomes` ({ weight, when, steps }) is picked by weight among
+  // those whose `when` conditions hold; `steps` are outcome steps.
+  // Conditions: fragments, scrap, fuel, hull (at least), cargo { <resource>: n },
+  // stats { <shipStats() key>: n }, module (id, fitted), legendary (bool),
+  // depth (sector depth at least).
+  const ENCOUNTERS = {}; // id -> definition
+  let encounter = null;  // { id, x, y } while a card is open
+  let seenEncounters = new Set(); // ids, this run; saved
+
+  function registerEncounter(def) {
+    if (!def || typeof def.id !== "string" || !def.id) return "entry without an \"id\"";
+    if (!Array.isArray(def.poi) || def.poi.length === 0) return `${def.id}: "poi" must list POI types`;
+    if (!Array.isArray(def.choices) || def.choices.length < 2 || def.choices.length > 4) {
+      return `${def.id}: needs 2–4 choices`;
+    }
+    for (const c of def.choices) {
+      if (typeof c?.label !== "string") return `${def.id}: choice without a "label"`;
+      if (!Array.isArray(c.outcomes) || c.outcomes.length === 0) return `${def.id}: "${c.label}" has no outcomes`;
+      if (c.outcomes.some(o => !Array.isArray(o.steps))) return `${def.id}: "${c.label}" outcome without "steps"`;
+    }
+    ENCOUNTERS[def.id] = def;
+    return null;
+  }
+
+  // A parsed encounters.json. Returns a list of problems found in it.
+  function registerEncounterDefinitions(data) {
+    const list = Array.isArray(data) ? data : data?.encounters;
+    if (!Array.isArray(list)) return ["expected an \"encounters\" list"];
+
+    const problems = [];
+    for (const def of list) {
+      const err = registerEncounter(def);
+      if (err) problems.push(err);
+    }
+    return problems;
+  }
+
+  // Why `cond` doesn't hold right now, or null if it does
+  function conditionBlocker(cond = {}) {
+    if (cond.fragments !== undefined && fragmentsCount() < cond.fragments) return `needs ${cond.fragments} fragments`;
+    if (cond.scrap !== undefined && ship.scrap < cond.scrap) return `needs ${cond.scrap} scrap`;
+    if (cond.fuel !== undefined && ship.fuel < cond.fuel) return `needs ${cond.fuel} fuel`;
+    if (cond.hull !== undefined && ship.hull < cond.hull) return `needs ${cond.hull} hull`;
+    for (const [id, n] of Object.entries(cond.cargo ?? {})) {
+      if ((ship.cargo[id] ?? 0) < n) return `needs ${n} ${RESOURCES[id]?.name.toLowerCase() ?? id}`;
+    }
+    const stats = cond.stats ? shipStats() : null;
+    for (const [stat, n] of Object.entries(cond.stats ?? {})) {
+      if (!(stats[stat] >= n)) return `needs ${stat} ${n}`;
+    }
+    if (cond.module !== undefined && !Object.values(ship.loadout).includes(cond.module)) {
+      return `needs ${MODULES[cond.module]?.name ?? cond.module} fitted`;
+    }
+    if (cond.legendary !== undefined && ship.hasLegendary !== cond.legendary) {
+      return cond.legendary ? "needs the Legendary Module" : "not with the Legendary Module";
+    }
+    if (cond.depth !== undefined && sectorDepth(galaxy.current) < cond.depth) return `only at depth ${cond.depth}+`;
+    return null;
+  }
+
+  function choiceBlocker(choice) {
+    const blocker = conditionBlocker(choice.requires);
+    if (blocker) return blocker;
+    if (choice.cost && !canAfford(choice.cost)) return `costs ${formatCost(choice.cost)}`;
+    return null;
+  }
+
+  function pickWeighted(list) {
+    const total = list.reduce((sum, x) => sum + (x.weight ?? 1), 0);
+    let r = random() * total;
+    return list.find(x => (r -= x.weight ?? 1) < 0) ?? list[list.length - 1];
+  }
+
+  // Roll for an encounter at `poi`; opens it and returns true if one happens
+  function startEncounter(poi) {
+    const eligible = Object.values(ENCOUNTERS).filter(e =>
+      e.poi.includes(poi.type) && !seenEncounters.has(e.id) && !conditionBlocker(e.requires));
+    if (eligible.length === 0) return false;
+    const e = pickWeighted(eligible);
+    if (!chance(e.chance ?? 1)) return false;
+
+    seenEncounters.add(e.id);
+    encounter = { id: e.id, x: poi.x, y: poi.y };
+    addLog(`📖 ${e.title}`);
+    emit("encounter", encounterCard());
+    return true;
+  }
+
+  // The open encounter as the front end shows it, or null
+  function encounterCard() {
+    const e = encounter && ENCOUNTERS[encounter.id];
+    if (!e) return null;
+    return {
+      id: e.id, title: e.title, text: e.text,
+      choices: e.choices.map(c => ({ label: c.label, cost: c.cost ?? null, blocked: choiceBlocker(c) })),
+    };
+  }
+
+  function chooseEncounter(index) {
+    const e = encounter && ENCOUNTERS[encounter.id];
+    const choice = e?.choices[index];
+    if (!choice) return false;
+    const blocker = choiceBlocker(choice);
+    if (blocker) {
+      addLog(`${choice.label}: ${blocker}.`);
+      return false;
+    }
+
+    encounter = null;
+    if (choice.cost) payCost(choice.cost);
+    const options = choice.outcomes.filter(o => !conditionBlocker(o.when));
+    if (options.length > 0) {
+      for (const step of pickWeighted(options).steps) runOutcome(step, e.title);
+    }
+    saveGame();
+    return true;
+  }
+
+  // --- POI resources ---
+  // Types with a `pool` hold that many interactions. Each use spends one and
+  // starts a `cooldown`; an empty POI either regains a charge every
+  // `regenTime` seconds or, with `respawnAfter`, vanishes and turns up on
+  // another free tile after that long. All timing runs on `worldTime`, which
+  // only advances while the game is unpaused and is saved with the run.
+  let worldTime = 0;
+
+  // Fills in state for POIs generated or saved before their type had a pool
+  function ensurePOIState(poi) {
+    const def = poiDef(poi.type);
+    if (def?.pool !== undefined && poi.pool === undefined) poi.pool = def.pool;
+    return poi;
+  }
+
+  function poiCharges(poi) {
+    return Math.floor(poi.pool ?? Infinity);
+  }
+
+  function poiCooldownLeft(poi) {
+    return Math.max(0, (poi.readyAt ?? 0) - worldTime);
+  }
+
+  // Advance regen/respawn for every POI in the live sector by `dt` seconds
+  function updatePOIResources(dt) {
+    for (const poi of pois) {
+      const def = poiDef(poi.type);
+      if (def?.pool === undefined || poi.pool === undefined) continue;
+
+      if (def.respawnAfter !== undefined) {
+        if (poi.pool < 1 && worldTime - (poi.depletedAt ?? worldTime) >= def.respawnAfter) {
+          relocatePOI(poi, def);
+        }
+      } else if (def.regenTime && poi.pool < def.pool) {
+        poi.pool = Math.min(def.pool, poi.pool + dt / def.regenTime);
+      }
+    }
+  }
+
+  // Move a spent POI to a free tile out of the player's sight, refilled
+  function relocatePOI(poi, def) {
+    const anchor = sectorAnchor(galaxy.current);
+    const rules = def.placement ?? {};
+    const spacing = rules.minSpacing ?? MIN_POI_SPACING;
+
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const x = randInt(0, GRID_W - 1);
+      const y = randInt(0, GRID_H - 1);
+      const stationDist = manhattan(x, y, anchor.x, anchor.y);
+      if (stationDist < (rules.minStationDist ?? MIN_DIST_FROM_STATION)) continue;
+      if (rules.maxStationDist !== undefined && stationDist > rules.maxStationDist) continue;
+      if (isRevealed(x, y)) continue;
+      if (pois.some(p => p !== poi && manhattan(x, y, p.x, p.y) < spacing)) continue;
+
+      poi.x = x;
+      poi.y = y;
+      poiIndex = null;
+      poi.pool = def.pool;
+      delete poi.depletedAt;
+      delete poi.readyAt;
+      delete poi.scanned;
+      return;
+    }
+    // No room right now; try again on a later tick
+  }
+
+  // Spend a charge and start the cooldown
+  function usePOI(poi, def) {
+    if (def.cooldown) poi.readyAt = worldTime + def.cooldown;
+    if (poi.pool === undefined) return;
+    poi.pool -= 1;
+    if (poi.pool < 1) {
+      poi.depletedAt = worldTime;
+      addLog(def.respawnAfter !== undefined
+        ? `${def.icon ?? "•"} ${def.type} picked clean. More may drift in elsewhere.`
+        : `${def.icon ?? "•"} ${def.type} depleted. It will slowly recover.`);
+    }
+  }
+
+  // --- POI Generation ---
+  function generatePOIs(sectorKey = HOME_SECTOR_KEY) {
+    const home = sectorKey === HOME_SECTOR_KEY;
+    const depth = sectorDepth(sectorKey);
+
+    // Own stream derived from the seed, so the layout never depends on how many
+    // loot rolls happened before it. The home sector keeps the original key.
+    const gen = mulberry32({ state: hashSeed(home ? `${runSeed}/sector` : `${runSeed}/sector/${sectorKey}`) });
+    const anchor = sectorAnchor(sectorKey);
+    const used = new Set();
+    const out = [];
+
+    const fixed = [...(home ? FIXED_POIS : []), ...sectorGates(sectorKey)];
+    for (const p of fixed) {
+      out.push({ ...p });
+      used.add(keyXY(p.x, p.y));
+    }
+
+    // Deeper sectors hide extra Derelicts (and so extra fragments)
+    const forced = [];
+    for (let i = 0; i < Math.min(3, Math.floor(depth / 2)); i++) forced.push("Derelict");
+
+    const spawnable = Object.values(POI_TYPES).filter(d => d.spawnWeight > 0);
+    const totalWeight = spawnable.reduce((sum, d) => sum + d.spawnWeight, 0);
+    if (totalWeight <= 0 && forced.length === 0) return out.map(ensurePOIState);
+
+    function pickType() {
+      if (forced.length > 0) return poiDef(forced[0]);
+      let r = gen() * totalWeight;
+      for (const d of spawnable) {
+        r -= d.spawnWeight;
+        if (r < 0) return d;
+      }
+      return spawnable[spawnable.length - 1];
+    }
+
+    let attempts = 0;
+    while (out.length < fixed.length + EXTRA_POI_COUNT && attempts < 5000) {
+      attempts++;
+      if (forced.length === 0 && totalWeight <= 0) break;
+
+      const x = randInt(0, GRID_W - 1, gen);
+      const y = randInt(0, GRID_H - 1, gen);
+      const k = keyXY(x, y);
+
+      if (used.has(k)) continue;
+
+      const def = pickType();
+      const rules = def.placement ?? {};
+      const stationDist = manhattan(x, y, anchor.x, anchor.y);
+      if (stationDist < (rules.minStationDist ?? MIN_DIST_FROM_STATION)) continue;
+      if (rules.maxStationDist !== undefined && stationDist > rules.maxStationDist) continue;
+
+      const spacing = rules.minSpacing ?? MIN_POI_SPACING;
+      let tooClose = false;
+      for (const p of out) {
+        if (manhattan(x, y, p.x, p.y) < spacing) { tooClose = true; break; }
+      }
+      if (tooClose) continue;
+
+      if (forced[0] === def.type) forced.shift();
+      out.push({ x, y, type: def.type });
+      used.add(k);
+    }
+
+    return out.map(ensurePOIState);
+  }
+
+  // --- Galaxy ---
+  const galaxy = {
+    current: HOME_SECTOR_KEY,
+    sectors: {}, // key -> { pois, enemies, leftAt, chart } for visited sectors other than the current one
+  };
+
+  function rewardMultiplier() {
+    return 1 + sectorDepth(galaxy.current) * REWARD_PER_DEPTH;
+  }
+
+  // Sectors you've been to, plus the ones their gates lead to
+  function knownSectors() {
+    const visited = new Set([galaxy.current, ...Object.keys(galaxy.sectors)]);
+    const known = new Set(visited);
+    for (const key of visited) {
+      for (const g of sectorGates(key)) known.add(g.to);
+    }
+    return { visited, known };
+  }
+
+  // Park the live sector in `galaxy.sectors` and make `key` the live one
+  function enterSector(key) {
+    if (key === galaxy.current) return;
+    galaxy.sectors[galaxy.current] = { pois, enemies: serializeEnemies(), leftAt: worldTime, chart: encodeChart(chart) };
+
+    galaxy.current = key;
+    const stored = galaxy.sectors[key];
+    delete galaxy.sectors[key];
+    chart = decodeChart(stored?.chart);
+    if (stored) {
+      pois = stored.pois.map(ensurePOIState);
+      enemies = restoreEnemies(stored.enemies);
+      // Sectors don't tick while you're away; catch their POIs up now
+      updatePOIResources(Math.max(0, worldTime - (stored.leftAt ?? worldTime)));
+    } else {
+      pois = generatePOIs(key);
+      enemies = generateEnemies(key);
+    }
+    projectiles = [];
+    scanner.ping = null;
+  }
+
+  // --- Exploration ---
+  let chart = emptyChart(); // the live sector's; parked ones keep theirs in galaxy.sectors
+  let chartVersion = 0;     // goes up whenever a tile is first charted, so drawing can cache
+
+  function exploreTile(x, y) {
+    const i = y * GRID_W + x;
+    if (chart.explored[i]) return;
+    chart.explored[i] = 1;
+    chartVersion++;
+  }
+
+  // Chart what's in sensor range: tiles become explored, POIs on them are
+  // remembered, and remembered ones that have since gone are forgotten
+  function updateChart() {
+    const r = visRadius();
+    for (let y = Math.max(0, Math.ceil(player.wy - r)); y <= Math.min(GRID_H - 1, player.wy + r); y++) {
+      for (let x = Math.max(0, Math.ceil(player.wx - r)); x <= Math.min(GRID_W - 1, player.wx + r); x++) {
+        if (isVisible(x, y)) exploreTile(x, y);
+      }
+    }
+    for (const key of Object.keys(chart.seen)) {
+      const { x, y } = parseKeyXY(key);
+      if (isVisible(x, y) && poisInArea(x, y, x, y).length === 0) delete chart.seen[key];
+    }
+    for (const p of poisInArea(player.wx - r, player.wy - r, player.wx + r, player.wy + r)) {
+      if (isVisible(p.x, p.y)) chart.seen[keyXY(p.x, p.y)] = p.type;
+    }
+  }
+
+  // --- Scanner ---
+  const scanner = { readyAt: 0, boostUntil: 0, ping: null }; // ping: { x, y, radius, at }; saved
+
+  function resetScanner(saved = null) {
+    Object.assign(scanner, { readyAt: 0, boostUntil: 0, ping: null }, saved);
+  }
+
+  function pingRadius() {
+    return PING_RADIUS + shipStat("vision") + (worldTime < scanner.boostUntil ? BEACON_BOOST : 0);
+  }
+
+  function scannerCooldownLeft() {
+    return Math.max(0, scanner.readyAt - worldTime);
+  }
+
+  function sensorPing() {
+    const wait = scannerCooldownLeft();
+    if (wait > 0) {
+      addLog(`📡 Scanner recharging (${wait.toFixed(1)}s).`);
+      return false;
+    }
+    if (ship.fuel < PING_FUEL) {
+      addLog(`📡 Not enough fuel to ping (needs ${PING_FUEL}).`);
+      return false;
+    }
+
+    ship.fuel -= PING_FUEL;
+    scanner.readyAt = worldTime + PING_COOLDOWN;
+    const radius = pingRadius();
+    scanner.ping = { x: player.wx, y: player.wy, radius, at: worldTime };
+
+    // Scanned space goes on the chart like anything seen
+    for (let y = Math.max(0, Math.ceil(player.wy - radius)); y <= Math.min(GRID_H - 1, player.wy + radius); y++) {
+      for (let x = Math.max(0, Math.ceil(player.wx - radius)); x <= Math.min(GRID_W - 1, player.wx + radius); x++) {
+        if (Math.hypot(player.wx - x, player.wy - y) <= radius) exploreTile(x, y);
+      }
+    }
+    const found = pois.filter(p => Math.hypot(player.wx - p.x, player.wy - p.y) <= radius);
+    for (const p of found) {
+      p.scanned = true;
+      chart.seen[keyXY(p.x, p.y)] = p.type;
+    }
+
+    addLog(`📡 Ping: ${found.length} contact${found.length === 1 ? "" : "s"} within ${radius} tiles.`);
+    saveGame();
+    return true;
+  }
+
+  // In sensor range, or inside a recent ping
+  function isRevealed(wx, wy) {
+    if (isVisible(wx, wy)) return true;
+    const p = scanner.ping;
+    return !!p && worldTime - p.at < PING_REVEAL && Math.hypot(p.x - wx, p.y - wy) <= p.radius;
+  }
+
+  // What a ping read off a POI: the odds that using it hurts, what it can
+  // give, and its charges. null until it's been scanned.
+  function scanReport(poi) {
+    const def = poiDef(poi.type);
+    if (!poi.scanned || !def) return null;
+
+    let safe = 1;
+    const yields = new Set();
+    const read = (step, p) => {
+      if (step.damage) safe *= 1 - p;
+      if (step.scrap !== undefined || step.legendaryScrap !== undefined) yields.add("scrap");
+      for (const id of Object.keys(step.cargo ?? {})) if (RESOURCES[id]) yields.add(RESOURCES[id].name.toLowerCase());
+      if (step.fragment) yields.add("fragments");
+      if (step.module) yields.add("modules");
+    };
+    for (const raw of def.outcomes) {
+      const step = modifiedStep(raw, def.type);
+      const p = clamp(stepChance(step), 0, 1);
+      read(step, p);
+      if (step.else) read(modifiedStep(step.else, def.type), 1 - p);
+    }
+
+    return {
+      trap: 1 - safe,
+      yields: [...yields],
+      charges: poi.pool === undefined ? null : poiCharges(poi),
+      pool: def.pool ?? null,
+    };
+  }
+
+  function isExplored(x, y) {
+    return chart.explored[y * GRID_W + x] === 1;
+  }
+
+  // Share of the live sector's tiles explored, 0–100
+  function explorationPercent() {
+    let count = 0;
+    for (const bit of chart.explored) count += bit;
+    return Math.floor((100 * count) / chart.explored.length);
+  }
+
+  function placePlayer(wx, wy) {
+    player.wx = clamp(wx, 0, GRID_W - 1);
+    player.wy = clamp(wy, 0, GRID_H - 1);
+    player.vx = 0;
+    player.vy = 0;
+    // a teleport, not a flight: nothing to interpolate, no route to follow
+    player.lastWx = player.wx;
+    player.lastWy = player.wy;
+    autopilot = null;
+  }
+
+  // Returns whether the jump happened
+  function jumpThrough(gate) {
+    if (ship.fuel < JUMP_FUEL_COST) {
+      addLog(`🌀 Jump Gate: need ${JUMP_FUEL_COST} fuel to jump (have ${ship.fuel.toFixed(1)}).`);
+      return false;
+    }
+    ship.fuel -= JUMP_FUEL_COST;
+
+    const from = galaxy.current;
+    enterSector(gate.to);
+
+    // Arrive next to the gate that leads back, nudged inward off the edge
+    const back = pois.find(p => p.type === "Jump Gate" && p.to === from);
+    const ax = back ? back.x : GRID_W >> 1;
+    const ay = back ? back.y : GRID_H >> 1;
+    placePlayer(ax + Math.sign((GRID_W >> 1) - ax), ay + Math.sign((GRID_H >> 1) - ay));
+
+    const depth = sectorDepth(galaxy.current);
+    addLog(`🌀 Jumped to sector ${sectorLabel(galaxy.current)} — depth ${depth}${depth > 0 ? `, rewards x${rewardMultiplier().toFixed(2)}` : " (home)"}.`);
+    emit("jump");
+    return true;
+  }
+
+  // --- Save/Load ---
+  let activeSlot = DEFAULT_SLOT;
+  let slotNames = [DEFAULT_SLOT];
+
+  function slotKey(name) {
+    return SLOT_PREFIX + name;
+  }
+
+  function loadSlotIndex() {
+    try {
+      const data = JSON.parse(storage.getItem(SLOTS_KEY));
+      const names = Array.isArray(data?.names) ? data.names.filter(n => typeof n === "string") : [];
+      if (names.length > 0) {
+        slotNames = names;
+        activeSlot = names.includes(data.active) ? data.active : names[0];
+      }
+    } catch {
+      // unreadable index: fall back to the default slot
+    }
+
+    // First run after slots were added: adopt the old single save as slot 1
+    const legacy = storage.getItem(LEGACY_SAVE_KEY);
+    if (legacy !== null) {
+      if (storage.getItem(slotKey(DEFAULT_SLOT)) === null) {
+        storage.setItem(slotKey(DEFAULT_SLOT), legacy);
+      }
+      storage.removeItem(LEGACY_SAVE_KEY);
+    }
+  }
+
+  function saveSlotIndex() {
+    storage.setItem(SLOTS_KEY, JSON.stringify({ active: activeSlot, names: slotNames }));
+  }
+
+  function serializeGame() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: clock.now(),
+      ship: {
+        hull: ship.hull,
+        maxHull: ship.maxHull,
+        scrap: ship.scrap,
+        fuel: ship.fuel,
+        maxFuel: ship.maxFuel,
+        hasLegendary: ship.hasLegendary,
+        fragments: Array.from(ship.fragments),
+        cargo: ship.cargo,
+        items: ship.items,
+        loadout: ship.loadout,
+        spares: ship.spares,
+      },
+      run,
+      player: {
+        wx: player.wx,
+        wy: player.wy,
+      },
+      pois: pois,
+      enemies: serializeEnemies(),
+      chart: encodeChart(chart),
+      contracts,
+      encounters: { seen: [...seenEncounters], open: encounter },
+      scanner,
+      galaxy: {
+        current: galaxy.current,
+        sectors: galaxy.sectors,
+      },
+      worldTime,
+      seed: runSeed,
+      rngState: rng.state,
+      difficulty,
+    };
+  }
+
+  function applySave(data) {
+    difficulty = normalizeDifficulty(data.difficulty);
+    ship.hull = data.ship.hull ?? ship.hull;
+    ship.maxHull = data.ship.maxHull ?? ship.maxHull;
+    ship.scrap = data.ship.scrap ?? ship.scrap;
+    ship.fuel = data.ship.fuel ?? ship.fuel;
+    ship.maxFuel = data.ship.maxFuel ?? ship.maxFuel;
+    ship.hasLegendary = !!data.ship.hasLegendary;
+    ship.fragments = new Set(Array.isArray(data.ship.fragments) ? data.ship.fragments : []);
+    ship.cargo = { ...emptyCargo(), ...data.ship.cargo };
+    ship.items = { ...emptyItems(), ...data.ship.items };
+    ship.loadout = emptyLoadout();
+    for (const slot of Object.keys(SLOTS)) {
+      const id = data.ship.loadout?.[slot];
+      if (MODULES[id]?.slot === slot) ship.loadout[slot] = id;
+    }
+    ship.spares = (data.ship.spares ?? []).filter(id => MODULES[id]);
+
+    Object.assign(run, emptyRun(), data.run);
+
+    placePlayer(data.player.wx ?? player.wx, data.player.wy ?? player.wy);
+
+    worldTime = data.worldTime ?? 0;
+    pois = data.pois.map(ensurePOIState);
+    galaxy.current = data.galaxy.current;
+    galaxy.sectors = data.galaxy.sectors ?? {};
+    chart = decodeChart(data.chart);
+    resetContracts(data.contracts);
+    seenEncounters = new Set(data.encounters?.seen ?? []);
+    encounter = data.encounters?.open ?? null;
+    resetScanner(data.scanner);
+
+    seedRng(data.seed);
+    if (Number.isInteger(data.rngState)) rng.state = data.rngState >>> 0;
+
+    enemies = Array.isArray(data.enemies) ? restoreEnemies(data.enemies) : generateEnemies();
+    projectiles = [];
+  }
+
+  function saveGame() {
+    storage.setItem(slotKey(activeSlot), JSON.stringify(serializeGame()));
+  }
+
+  // Keep an unreadable save around instead of letting the next saveGame() eat it
+  function backupCorruptSave(slot, raw, err) {
+    const key = `${BACKUP_PREFIX}${slot}:${clock.now()}`;
+    try {
+      storage.setItem(key, raw);
+      addLog(`⚠️ Save "${slot}" could not be loaded (${err.message}). Backed up as ${key}.`);
+    } catch {
+      addLog(`⚠️ Save "${slot}" could not be loaded (${err.message}) and the backup failed.`);
+    }
+  }
+
+  function loadGame() {
+    const raw = storage.getItem(slotKey(activeSlot));
+    if (raw === null) return false;
+
+    try {
+      applySave(migrateSave(JSON.parse(raw)));
+      return true;
+    } catch (err) {
+      backupCorruptSave(activeSlot, raw, err);
+      return false;
+    }
+  }
+
+  // Summary line for the saves screen, without touching live state
+  function describeSlot(name) {
+    const raw = storage.getItem(slotKey(name));
+    if (raw === null) return "empty";
+    try {
+      const data = migrateSave(JSON.parse(raw));
+      const when = data.savedAt ? new Date(data.savedAt).toLocaleString() : "unknown time";
+      return `seed ${data.seed} · ${data.ship.fragments?.length ?? 0}/${FRAG_TOTAL} frags · ${when}`;
+    } catch {
+      return "unreadable";
+    }
+  }
+
+  // Save the current slot, then load (or start fresh in) another one
+  function switchSlot(name) {
+    saveGame();
+    if (!slotNames.includes(name)) slotNames.push(name);
+    activeSlot = name;
+    saveSlotIndex();
+
+    const hadSave = storage.getItem(slotKey(name)) !== null;
+    if (loadGame()) {
+      applyShipStats();
+      addLog(`💾 Loaded slot "${name}".`);
+    } else {
+      // The tallies belong to the slot we just saved, not to this one
+      Object.assign(run, emptyRun());
+      newGame();
+      addLog(`💾 Started a new game in slot "${name}".`);
+      // newGame() clears the log, so repeat the backup notice
+      if (hadSave) addLog(`⚠️ The old "${name}" save was unreadable and has been backed up.`);
+    }
+    beginRecording();
+  }
+
+  function deleteSlot(name) {
+    if (name === activeSlot) {
+      addLog("Can't delete the slot you're playing in.");
+      return;
+    }
+    storage.removeItem(slotKey(name));
+    slotNames = slotNames.filter(n => n !== name);
+    saveSlotIndex();
+    addLog(`🗑️ Deleted slot "${name}".`);
+  }
+
+  function uniqueSlotName(base) {
+    base = base.trim().slice(0, MAX_SLOT_NAME) || "Slot";
+    if (!slotNames.includes(base)) return base;
+    for (let i = 2; ; i++) {
+      const name = `${base.slice(0, MAX_SLOT_NAME - 3)} ${i}`;
+      if (!slotNames.includes(name)) return name;
+    }
+  }
+
+  // --- Export / Import ---
+  // Raw save text for a slot (the live one is saved first), or null if empty
+  function exportSlot(name) {
+    if (name === activeSlot) saveGame();
+    const raw = storage.getItem(slotKey(name));
+    if (raw === null) addLog(`Slot "${name}" is empty.`);
+    return raw;
+  }
+
+  // Imported saves go into a new slot so they never overwrite a run by accident
+  function importSave(text, fileName) {
+    let data;
+    try {
+      data = migrateSave(JSON.parse(text));
+    } catch (err) {
+      addLog(`⚠️ Import failed: ${err.message}.`);
+      return false;
+    }
+
+    const name = uniqueSlotName(fileName.replace(/\.json$/i, "").replace(/^farreach-/, ""));
+    storage.setItem(slotKey(name), JSON.stringify(data));
+    switchSlot(name);
+    addLog(`📥 Imported "${fileName}" into slot "${name}".`);
+    return true;
+  }
+
+  // --- Autopilot ---
+  let autopilot = null; // { x, y } waypoint while engaged; not saved
+
+  // Straight-line trip to (x, y) at cruise: its fuel cost, and what getting
+  // from there back to this sector's Station would cost on top (null where
+  // there's no Station)
+  function routeEstimate(x, y) {
+    const { fuelPerTile } = shipStats();
+    const distance = Math.hypot(x - player.wx, y - player.wy);
+    const fuel = distance * fuelPerTile;
+    const station = pois.find(p => poiDef(p.type)?.service === "station");
+    const returnFuel = station ? Math.hypot(station.x - x, station.y - y) * fuelPerTile : null;
+    return {
+      distance,
+      fuel,
+      returnFuel,
+      strands: fuel > ship.fuel,
+      noReturn: returnFuel !== null && fuel + returnFuel > ship.fuel,
+    };
+  }
+
+  function setWaypoint(x, y) {
+    x = clamp(Math.round(x), 0, GRID_W - 1);
+    y = clamp(Math.round(y), 0, GRID_H - 1);
+    autopilot = { x, y };
+
+    const est = routeEstimate(x, y);
+    const known = chart.seen[keyXY(x, y)];
+    const where = known ? `${known} (${x}, ${y})` : `(${x}, ${y})`;
+    addLog(`🧭 Autopilot to ${where}: ${est.distance.toFixed(1)} tiles, ~${est.fuel.toFixed(1)} fuel.`);
+    if (est.strands) {
+      addLog(`⚠️ Not enough fuel — the tank runs dry ${(est.distance * (1 - ship.fuel / est.fuel)).toFixed(1)} tiles short.`);
+    } else if (est.noReturn) {
+      addLog("⚠️ You won't have the fuel to get back to the Station from there.");
+    }
+  }
+
+  function clearWaypoint() {
+    if (!autopilot) return;
+    autopilot = null;
+    addLog("🧭 Autopilot off.");
+  }
+
+  // Thrust straight at the waypoint, and brake once the brake alone would
+  // stop the ship on it
+  function steerAutopilot() {
+    const dx = autopilot.x - player.wx;
+    const dy = autopilot.y - player.wy;
+    const dist = Math.hypot(dx, dy);
+    const speed = Math.hypot(player.vx, player.vy);
+
+    if (dist < AUTOPILOT_ARRIVE && speed < AUTOPILOT_SETTLE) {
+      const known = chart.seen[keyXY(autopilot.x, autopilot.y)];
+      autopilot = null;
+      addLog(known ? `🧭 Arrived at ${known}.` : "🧭 Arrived.");
+      return { ax: 0, ay: 0, brake: true };
+    }
+    if (ship.fuel <= 0) {
+      autopilot = null;
+      addLog("🧭 Autopilot off — out of fuel.");
+      return { ax: 0, ay: 0, brake: false };
+    }
+    if (speed / shipStats().brakeDrag >= dist) return { ax: 0, ay: 0, brake: true };
+    return { ax: dx / dist, ay: dy / dist, brake: false };
+  }
+
+  // --- Update loop (movement + fuel) ---
+  let saveCooldown = 0; // throttle storage writes while moving
+
+  function update(dt) {
+    // Where everything was before this step, for interpolated drawing
+    for (const body of [player, ...enemies, ...projectiles]) {
+      body.lastWx = body.wx;
+      body.lastWy = body.wy;
+    }
+
+    // Thrust direction from keys (diagonals allowed)
+    let ax = 0, ay = 0;
+    if (input.left) ax -= 1;
+    if (input.right) ax += 1;
+    if (input.up) ay -= 1;
+    if (input.down) ay += 1;
+
+    const len = Math.hypot(ax, ay);
+    if (len > 0) { ax /= len; ay /= len; lastHeading = { x: ax, y: ay }; }
+
+    // A half-tilted stick gives half the thrust
+    const stick = Math.hypot(input.stickX, input.stickY);
+    if (len === 0 && stick > 0) {
+      const scale = Math.min(1, stick) / stick;
+      ax = input.stickX * scale;
+      ay = input.stickY * scale;
+      lastHeading = { x: input.stickX / stick, y: input.stickY / stick };
+    }
+
+    // Any thrust key (or the stick) takes the controls back from the autopilot
+    let brake = input.brake;
+    if (autopilot && (len > 0 || stick > 0)) clearWaypoint();
+    if (autopilot) {
+      const steer = steerAutopilot();
+      ax = steer.ax;
+      ay = steer.ay;
+      brake = brake || steer.brake;
+      if (ax || ay) lastHeading = { x: ax, y: ay };
+    }
+
+    const stats = shipStats();
+    const accel = input.boost ? stats.boostAccel : stats.accel;
+    const maxSpeed = input.boost ? stats.boostMaxSpeed : stats.maxSpeed;
+    stepShip(player, ax, ay, accel, maxSpeed, brake ? stats.brakeDrag : stats.drag, dt);
+
+    const oldWx = player.wx;
+    const oldWy = player.wy;
+
+    player.wx = clamp(player.wx + player.vx * dt, 0, GRID_W - 1);
+    player.wy = clamp(player.wy + player.vy * dt, 0, GRID_H - 1);
+
+    const dist = Math.hypot(player.wx - oldWx, player.wy - oldWy);
+
+    saveCooldown -= dt;
+
+    if (dist > 0.00005) {
+      run.distance += dist;
+      const fuelRate = input.boost ? stats.boostFuelPerTile : stats.fuelPerTile;
+
+      if (ship.fuel <= 0) {
+        if (chance(0.02)) damage(1, "running on empty");
+      } else {
+        ship.fuel = clamp(ship.fuel - dist * fuelRate, 0, ship.maxFuel);
+      }
+
+      if (saveCooldown <= 0) {
+        saveGame();
+        saveCooldown = 0.25;
+      }
+    }
+
+    if (ship.fuel <= 0) run.ranDry = true;
+
+    worldTime += dt;
+    updatePOIResources(dt);
+    updateChart();
+    updateContracts();
+    updatePlayerWeapon(dt);
+    updateEnemies(dt);
+    updateProjectiles(dt);
+    emit("tick", dt);
+  }
+
+  // --- Hostiles ---
+  let enemies = [];     // saved with the run
+  let projectiles = []; // transient, not saved
+  let fireCooldown = 0;
+  let lastHeading = { x: 1, y: 0 };
+
+  // Own seeded stream like the sector layout. Tougher types only appear
+  // further from the Station, and deeper sectors get more of them.
+  function generateEnemies(sectorKey = HOME_SECTOR_KEY) {
+    const home = sectorKey === HOME_SECTOR_KEY;
+    const depth = sectorDepth(sectorKey);
+    const gen = mulberry32({ state: hashSeed(home ? `${runSeed}/enemies` : `${runSeed}/enemies/${sectorKey}`) });
+    const anchor = sectorAnchor(sectorKey);
+    const types = Object.keys(ENEMY_TYPES);
+    const weightOf = t => ENEMY_TYPES[t].weight + ENEMY_TYPES[t].depthWeight * depth;
+    const totalWeight = types.reduce((sum, t) => sum + weightOf(t), 0);
+    const count = ENEMY_COUNT + ENEMIES_PER_DEPTH * depth;
+    const out = [];
+
+    let attempts = 0;
+    while (out.length < count && attempts < 2000) {
+      attempts++;
+      let r = gen() * totalWeight;
+      const type = types.find(t => (r -= weightOf(t)) < 0) ?? types[0];
+
+      const x = randInt(0, GRID_W - 1, gen) + 0.5;
+      const y = randInt(0, GRID_H - 1, gen) + 0.5;
+      if (manhattan(x, y, anchor.x, anchor.y) < ENEMY_TYPES[type].minStationDist) continue;
+      if (out.some(e => manhattan(x, y, e.wx, e.wy) < 4)) continue;
+
+      out.push(makeEnemy(type, x, y));
+    }
+    return out;
+  }
+
+  function serializeEnemies() {
+    return enemies.map(e => ({ type: e.type, wx: e.wx, wy: e.wy, hull: e.hull, homeX: e.homeX, homeY: e.homeY }));
+  }
+
+  function isVisible(wx, wy) {
+    return Math.hypot(player.wx - wx, player.wy - wy) <= visRadius();
+  }
+
+  function fireProjectile(from, dirX, dirY, speed, range, dmg, owner) {
+    const len = Math.hypot(dirX, dirY) || 1;
+    projectiles.push({
+      wx: from.wx, wy: from.wy,
+      vx: (dirX / len) * speed, vy: (dirY / len) * speed,
+      ttl: range / speed,
+      damage: dmg,
+      owner,
+      source: from.type, // enemy type, for the damage tally
+    });
+  }
+
+  function nearestEnemy(range) {
+    let best = null;
+    for (const e of enemies) {
+      const d = Math.hypot(e.wx - player.wx, e.wy - player.wy);
+      if (d <= range && isVisible(e.wx, e.wy) && (!best || d < best.d)) best = { d, e };
+    }
+    return best ? best.e : null;
+  }
+
+  function updatePlayerWeapon(dt) {
+    fireCooldown -= dt;
+    if (!input.fire || fireCooldown > 0) return;
+
+    const target = nearestEnemy(WEAPON.range);
+    const dir = target
+      ? { x: target.wx - player.wx, y: target.wy - player.wy }
+      : lastHeading;
+    fireProjectile(player, dir.x, dir.y, WEAPON.speed, WEAPON.range, WEAPON.damage, "player");
+    fireCooldown = WEAPON.cooldown;
+  }
+
+  function updateEnemies(dt) {
+    for (const e of enemies) {
+      const t = ENEMY_TYPES[e.type];
+      const dPlayer = Math.hypot(player.wx - e.wx, player.wy - e.wy);
+
+      if (e.state === "patrol" && dPlayer <= t.detectRadius) {
+        e.state = "chase";
+        if (isVisible(e.wx, e.wy)) addLog(`🚨 ${e.type} has spotted you!`);
+      } else if (e.state === "chase" && dPlayer > t.loseRadius) {
+        e.state = "patrol";
+      }
+
+      let tx, ty;
+      if (e.state === "chase") {
+        tx = player.wx;
+        ty = player.wy;
+      } else {
+        // Wander between random points around home
+        if (Math.hypot(e.targetX - e.wx, e.targetY - e.wy) < 0.5) {
+          e.targetX = clamp(e.homeX + (random() * 2 - 1) * t.patrolRadius, 0, GRID_W - 1);
+          e.targetY = clamp(e.homeY + (random() * 2 - 1) * t.patrolRadius, 0, GRID_H - 1);
+        }
+        tx = e.targetX;
+        ty = e.targetY;
+      }
+
+      let ax = tx - e.wx, ay = ty - e.wy;
+      const len = Math.hypot(ax, ay);
+      // Chasers hold off a little inside firing range instead of ramming
+      const holdOff = e.state === "chase" && len < t.fireRange * 0.6;
+      if (len > 0 && !holdOff) { ax /= len; ay /= len; } else { ax = 0; ay = 0; }
+
+      stepShip(e, ax, ay, t.accel, t.maxSpeed, t.drag, dt);
+      e.wx = clamp(e.wx + e.vx * dt, 0, GRID_W - 1);
+      e.wy = clamp(e.wy + e.vy * dt, 0, GRID_H - 1);
+
+      e.cooldown -= dt;
+      if (e.state === "chase" && dPlayer <= t.fireRange && e.cooldown <= 0) {
+        fireProjectile(e, player.wx - e.wx, player.wy - e.wy, t.shotSpeed, t.fireRange * 1.5, t.shotDamage, "enemy");
+        e.cooldown = t.fireCooldown;
+      }
+    }
+  }
+
+  function destroyEnemy(e) {
+    const t = ENEMY_TYPES[e.type];
+    enemies = enemies.filter(x => x !== e);
+    const loot = Math.round(randInt(t.scrap[0], t.scrap[1]) * rewardMultiplier());
+    gainScrap(loot);
+    addLog(`💥 ${e.type} destroyed! Salvaged +${loot} scrap.`);
+    run.kills++;
+    contractsOnKill();
+    saveGame();
+    emit("kill", e.type, e.wx, e.wy);
+  }
+
+  // How much trouble the ship is in, 0–1: hostiles on its tail, how deep
+  // the sector is and how battered the hull. The front end's music follows it.
+  function dangerLevel() {
+    const chasing = enemies.filter(e => e.state === "chase").length;
+    const depth = sectorDepth(galaxy.current) / ((GALAXY_W >> 1) + (GALAXY_H >> 1));
+    const hurt = 1 - ship.hull / ship.maxHull;
+    return clamp(chasing * 0.3 + depth * 0.3 + hurt * 0.3, 0, 1);
+  }
+
+  function updateProjectiles(dt) {
+    const keep = [];
+    for (const p of projectiles) {
+      p.wx += p.vx * dt;
+      p.wy += p.vy * dt;
+      p.ttl -= dt;
+      if (p.ttl <= 0) continue;
+
+      if (p.owner === "player") {
+        const hit = enemies.find(e => Math.hypot(e.wx - p.wx, e.wy - p.wy) <= HIT_RADIUS);
+        if (hit) {
+          hit.hull -= p.damage;
+          hit.state = "chase"; // shooting something wakes it up
+          if (hit.hull <= 0) destroyEnemy(hit);
+          continue;
+        }
+      } else if (Math.hypot(player.wx - p.wx, player.wy - p.wy) <= HIT_RADIUS) {
+        const taken = damage(p.damage, p.source ?? "enemy fire");
+        if (taken > 0) addLog(`🔥 Hit by enemy fire! -${taken} hull.`);
+        continue;
+      }
+
+      keep.push(p);
+    }
+    projectiles = keep;
+  }
+
+  // --- Interactions ---
+  // Behaviour that doesn't fit outcome steps. A POI type opts in with
+  // `service: "<name>"`; `hint(def, poi)` (optional) builds the HUD text.
+  // `interact` returns false when it was refused, so the POI isn't used up,
+  // visited or announced.
+  const POI_SERVICES = {
+    station: {
+      interact() {
+        refreshContractOffers();
+        emit("station");
+      },
+      hint(def) {
+        const canCraft = !ship.hasLegendary && !recipeBlocker(RECIPES.find(r => r.gives.legendary));
+        return `${def.type} — press E for services${canCraft ? " (Legendary ready to craft!)" : ""}`;
+      },
+    },
+
+    gate: {
+      interact(poi) {
+        return jumpThrough(poi);
+      },
+      hint(def, poi) {
+        const depth = sectorDepth(poi.to);
+        return `${def.type} → sector ${sectorLabel(poi.to)} (depth ${depth}) — press E (${JUMP_FUEL_COST} fuel)`;
+      },
+    },
+
+    // Hands out a contract if there's room for one
+    relay: {
+      interact(poi, def) {
+        if (contracts.active.length >= MAX_CONTRACTS) {
+          addLog(`📡 ${def.type}: jobs on the wire, but you already have ${MAX_CONTRACTS} contracts.`);
+          return; // its outcomes still pay
+        }
+        const c = makeContract();
+        takeContract(c);
+        addLog(`📜 ${def.type} contract: ${describeContract(c)}.`);
+      },
+    },
+
+    // Boosts the scanner's range for a while and recharges it
+    beacon: {
+      interact(poi, def) {
+        scanner.boostUntil = worldTime + BEACON_BOOST_TIME;
+        scanner.readyAt = worldTime;
+        addLog(`🛰️ ${def.type}: scanner tuned to ${pingRadius()} tiles for ${BEACON_BOOST_TIME}s and recharged.`);
+      },
+      hint(def) {
+        return `${def.type} — press E to boost the scanner`;
+      },
+    },
+  };
+
+  function handleInteract() {
+    // a card left open (e.g. by loading a save) comes back up
+    if (encounter) {
+      emit("encounter", encounterCard());
+      return;
+    }
+    const poi = getNearestPOI(player.wx, player.wy, 0.70);
+    if (!poi) return;
+
+    const def = poiDef(poi.type);
+    if (!def) {
+      addLog(`Nothing configured for: ${poi.type}`);
+      saveGame();
+      return;
+    }
+
+    if (def.requiresLegendary && !ship.hasLegendary) {
+      addLog(def.lockedLog ?? `🔒 ${def.type} is locked. Craft the Legendary Module first.`);
+      saveGame();
+      return;
+    }
+
+    // Deliveries and scans count even while the POI recharges
+    const done = contracts.completed;
+    contractsAtPOI(poi);
+    if (contracts.completed > done) saveGame();
+
+    const wait = poiCooldownLeft(poi);
+    if (wait > 0) {
+      addLog(`⏳ ${def.type} recharging (${wait.toFixed(1)}s).`);
+      return;
+    }
+    if (poi.pool !== undefined && poiCharges(poi) < 1) {
+      addLog(`${def.icon ?? "•"} ${def.type} is depleted.`);
+      return;
+    }
+
+    if (def.service && POI_SERVICES[def.service].interact(poi, def) === false) {
+      saveGame();
+      return;
+    }
+    if (def.outcomes.length === 0 || !startEncounter(poi)) {
+      for (const step of def.outcomes) runOutcome(step, def.type);
+    }
+    usePOI(poi, def);
+    run.visits[def.type] = (run.visits[def.type] ?? 0) + 1;
+
+    saveGame();
+    emit("interact", def.type);
+  }
+
+  // --- Contracts ---
+  const contracts = emptyContracts(); // saved with the run
+
+  function pickContractKind() {
+    const kinds = Object.keys(CONTRACT_KINDS).filter(k =>
+      k !== "survey" || !contracts.active.concat(contracts.offers).some(c => c.kind === "survey"));
+    const total = kinds.reduce((sum, k) => sum + CONTRACT_KINDS[k].weight, 0);
+    let r = random() * total;
+    return kinds.find(k => (r -= CONTRACT_KINDS[k].weight) < 0) ?? kinds[0];
+  }
+
+  // A new contract, drawn from the main RNG and the live sector
+  function makeContract() {
+    let kind = pickContractKind();
+    const here = getNearestPOI(player.wx, player.wy, 0.70);
+    const targets = pois.filter(p => DELIVERY_TARGETS.includes(p.type) && p !== here);
+    if (kind === "deliver" && targets.length === 0) kind = "clear";
+
+    const c = {
+      id: contracts.nextId++, kind, count: 1, progress: 0, reward: 0,
+      timeLimit: null, deadline: null, sector: galaxy.current,
+    };
+    if (kind === "deliver") {
+      const target = targets[randInt(0, targets.length - 1)];
+      const resources = Object.keys(RESOURCES);
+      Object.assign(c, { target: target.type, x: target.x, y: target.y });
+      c.resource = resources[randInt(0, resources.length - 1)];
+      c.count = randInt(3, 6);
+      c.reward = 4 + c.count * 3 + Math.round(Math.hypot(target.x - player.wx, target.y - player.wy) / 2);
+    } else if (kind === "scan") {
+      c.count = randInt(1, 3);
+      c.scanned = [];
+      c.reward = 8 + c.count * 7;
+    } else if (kind === "survey") {
+      const corner = FIXED_POIS.find(p => p.type === "Far Corner");
+      Object.assign(c, { sector: HOME_SECTOR_KEY, x: corner.x, y: corner.y, reward: 30 });
+    } else {
+      c.count = randInt(2, 4);
+      c.reward = 4 + c.count * 6;
+    }
+
+    let reward = c.reward * rewardMultiplier();
+    if (chance(CONTRACT_DEADLINE_CHANCE)) {
+      c.timeLimit = randInt(4, 8) * 30;
+      reward *= CONTRACT_RUSH_BONUS;
+    }
+    c.reward = Math.round(reward);
+    return c;
+  }
+
+  function contractTimeLeft(c) {
+    if (c.deadline !== null) return Math.max(0, c.deadline - worldTime);
+    return c.timeLimit ?? Infinity;
+  }
+
+  function describeContract(c) {
+    const left = contractTimeLeft(c);
+    return `${contractText(c)} — ${c.reward} scrap${left < Infinity ? `, ${Math.ceil(left)}s` : ""}`;
+  }
+
+  // The clock starts when a job is taken, not when it's posted
+  function takeContract(c) {
+    if (c.timeLimit !== null) c.deadline = worldTime + c.timeLimit;
+    contracts.active.push(c);
+  }
+
+  function atStation() {
+    const poi = getNearestPOI(player.wx, player.wy, 0.70);
+    return !!poi && poiDef(poi.type)?.service === "station";
+  }
+
+  function resetContracts(saved = null) {
+    Object.assign(contracts, emptyContracts(), saved);
+  }
+
+  // Top the Station board back up
+  function refreshContractOffers() {
+    while (contracts.offers.length < CONTRACT_OFFERS) contracts.offers.push(makeContract());
+  }
+
+  function acceptContract(id) {
+    const c = contracts.offers.find(x => x.id === id);
+    if (!c || !atStation()) return false;
+    if (contracts.active.length >= MAX_CONTRACTS) {
+      addLog(`📜 You already have ${MAX_CONTRACTS} contracts. Finish or abandon one first.`);
+      return false;
+    }
+    contracts.offers = contracts.offers.filter(x => x !== c);
+    takeContract(c);
+    addLog(`📜 Accepted: ${describeContract(c)}.`);
+    saveGame();
+    return true;
+  }
+
+  function abandonContract(id) {
+    const c = contracts.active.find(x => x.id === id);
+    if (!c) return false;
+    contracts.active = contracts.active.filter(x => x !== c);
+    addLog(`📜 Abandoned: ${contractText(c)}.`);
+    saveGame();
+    return true;
+  }
+
+  function completeContract(c) {
+    contracts.active = contracts.active.filter(x => x !== c);
+    contracts.completed++;
+    gainScrap(c.reward);
+    addLog(`✅ Contract done: ${contractText(c)}. +${c.reward} scrap.`);
+  }
+
+  // Pressing E at a POI: hand over deliveries, count Beacon scans
+  function contractsAtPOI(poi) {
+    for (const c of [...contracts.active]) {
+      if (c.kind === "deliver" && c.sector === galaxy.current && c.x === poi.x && c.y === poi.y) {
+        const have = ship.cargo[c.resource];
+        if (have >= c.count) {
+          removeCargo(c.resource, c.count);
+          completeContract(c);
+        } else {
+          addLog(`📜 Delivery needs ${c.count - have} more ${RESOURCES[c.resource].name.toLowerCase()}.`);
+        }
+      }
+      if (c.kind === "scan" && poi.type === "Beacon") {
+        const key = `${galaxy.current}:${keyXY(poi.x, poi.y)}`;
+        if (c.scanned.includes(key)) continue;
+        c.scanned.push(key);
+        c.progress++;
+        if (c.progress >= c.count) completeContract(c);
+        else addLog(`📜 Beacon scanned (${c.progress}/${c.count}).`);
+      }
+    }
+  }
+
+  function contractsOnKill() {
+    for (const c of [...contracts.active]) {
+      if (c.kind !== "clear") continue;
+      c.progress++;
+      if (c.progress >= c.count) completeContract(c);
+    }
+  }
+
+  // Every step: surveys reached, deadlines missed
+  function updateContracts() {
+    for (const c of [...contracts.active]) {
+      if (c.kind === "survey" && c.sector === galaxy.current && Math.hypot(player.wx - c.x, player.wy - c.y) <= 0.70) {
+        completeContract(c);
+        saveGame();
+      } else if (c.deadline !== null && worldTime >= c.deadline) {
+        contracts.active = contracts.active.filter(x => x !== c);
+        addLog(`⌛ Contract expired: ${contractText(c)}.`);
+        saveGame();
+      }
+    }
+  }
+
+  // --- Station services ---
+  // Each entry: id, label, cost text, `blocked` reason (or null) and what it
+  // does. Run them through runStationService() so they get saved and recorded.
+  function stationEntries() {
+    const missingHull = ship.maxHull - ship.hull;
+    const missingFuel = ship.maxFuel - ship.fuel;
+    const fullRepairCost = Math.ceil(missingHull / REPAIR_STEP) * REPAIR_PRICE;
+    const fullRefuelCost = Math.ceil(missingFuel / REFUEL_STEP) * REFUEL_PRICE;
+    const cargoValue = Object.keys(RESOURCES).reduce((sum, id) => sum + ship.cargo[id] * RESOURCES[id].price, 0);
+
+    const priced = (cost, fullReason) =>
+      fullReason ?? (ship.scrap < cost ? `need ${cost} scrap` : null);
+
+    const entries = [
+      {
+        id: "repair", label: `Patch hull +${REPAIR_STEP}`, cost: `${REPAIR_PRICE} scrap`,
+        blocked: priced(REPAIR_PRICE, missingHull <= 0 ? "hull full" : null),
+        run() {
+          spendScrap(REPAIR_PRICE);
+          repair(REPAIR_STEP);
+          addLog(`🛠️ Station: repaired +${REPAIR_STEP} hull for ${REPAIR_PRICE} scrap.`);
+        },
+      },
+      {
+        id: "fullRepair", label: `Full repair +${missingHull}`, cost: `${fullRepairCost} scrap`,
+        blocked: priced(fullRepairCost, missingHull <= 0 ? "hull full" : null),
+        run() {
+          spendScrap(fullRepairCost);
+          repair(missingHull);
+          addLog(`🛠️ Station: fully repaired for ${fullRepairCost} scrap.`);
+        },
+      },
+      {
+        id: "refuel", label: `Refuel +${REFUEL_STEP}`, cost: `${REFUEL_PRICE} scrap`,
+        blocked: priced(REFUEL_PRICE, missingFuel <= 0 ? "tanks full" : null),
+        run() {
+          spendScrap(REFUEL_PRICE);
+          ship.fuel = clamp(ship.fuel + REFUEL_STEP, 0, ship.maxFuel);
+          addLog(`⛽ Refueled +${REFUEL_STEP} for ${REFUEL_PRICE} scrap.`);
+        },
+      },
+      {
+        id: "fillTanks", label: `Fill tanks +${missingFuel.toFixed(1)}`, cost: `${fullRefuelCost} scrap`,
+        blocked: priced(fullRefuelCost, missingFuel <= 0 ? "tanks full" : null),
+        run() {
+          spendScrap(fullRefuelCost);
+          ship.fuel = ship.maxFuel;
+          addLog(`⛽ Tanks filled for ${fullRefuelCost} scrap.`);
+        },
+      },
+    ];
+
+    for (const [id, res] of Object.entries(RESOURCES)) {
+      const n = ship.cargo[id];
+      entries.push({
+        id: `sell:${id}`, label: `Sell ${res.name.toLowerCase()} ×${n}`, cost: `+${n * res.price} scrap`,
+        blocked: n > 0 ? null : "none carried",
+        run() {
+          removeCargo(id, n);
+          gainScrap(n * res.price);
+          addLog(`💱 Sold ${n} ${res.short} for ${n * res.price} scrap.`);
+        },
+      });
+    }
+
+    entries.push({
+      id: "sellAll", label: "Sell all cargo", cost: `+${cargoValue} scrap`,
+      blocked: cargoValue > 0 ? null : "hold empty",
+      run() {
+        for (const id of Object.keys(RESOURCES)) removeCargo(id, ship.cargo[id]);
+        gainScrap(cargoValue);
+        addLog(`💱 Sold the whole hold for ${cargoValue} scrap.`);
+      },
+    });
+    return entries;
+  }
+
+  function runStationService(id) {
+    const entry = stationEntries().find(e => e.id === id);
+    if (!entry || entry.blocked) return false;
+    entry.run();
+    saveGame();
+    return true;
+  }
+
+  // --- New Game ---
+  // `settings` is the difficulty, { preset, modifiers }; the last run's by default
+  function newGame(seed = makeRandomSeed(), settings = difficulty) {
+    const earned = endRun();
+    difficulty = normalizeDifficulty(settings);
+    freshRun(seed);
+
+    clearLog();
+    addLog(`🆕 New Game started. Fresh sector generated (seed ${runSeed}).`);
+    if (difficulty.preset !== DEFAULT_DIFFICULTY.preset || difficulty.modifiers.length > 0) {
+      addLog(`🎚️ Difficulty: ${difficultyLabel(difficulty)} (credits x${difficultyEffects(difficulty).rewards.toFixed(2)}).`);
+    }
+    if (earned > 0) addLog(`💠 Banked ${earned} credits from the last run (${meta.credits} total).`);
+    emit("newGame", runSeed, difficulty);
+
+    saveGame();
+    beginRecording();
+  }
+
+  // A brand new ship, collection and galaxy from `seed`
+  function freshRun(seed) {
+    seedRng(seed);
+    ship.cargo = emptyCargo();
+    ship.items = emptyItems();
+    ship.loadout = emptyLoadout();
+    ship.spares = [];
+    ship.hasLegendary = false;
+    applyShipStats();
+
+    ship.hull = ship.maxHull;
+    ship.scrap = 0;
+    ship.fuel = ship.maxFuel;
+    ship.fragments = new Set();
+
+    placePlayer(12, 12);
+
+    galaxy.current = HOME_SECTOR_KEY;
+    galaxy.sectors = {};
+    chart = emptyChart();
+    resetContracts();
+    seenEncounters = new Set();
+    encounter = null;
+    resetScanner();
+    worldTime = 0;
+    run.startedAt = 0;
+    pois = generatePOIs();
+    enemies = generateEnemies();
+    projectiles = [];
+  }
+
+  // Load meta and the active slot, then resume it; a `seed` starts that run
+  // instead of resuming (in a new slot if the active one holds a save), on
+  // the `settings` difficulty if given
+  function start(seed = null, settings = undefined) {
+    loadMeta();
+    loadHistory();
+    loadAchievements();
+    loadSlotIndex();
+    const kept = seed && storage.getItem(slotKey(activeSlot)) !== null ? activeSlot : null;
+    if (kept) {
+      activeSlot = uniqueSlotName(`Seed ${seed}`);
+      slotNames.push(activeSlot);
+    }
+    saveSlotIndex();
+    const loaded = !seed && loadGame();
+    applyShipStats();
+
+    if (seed) {
+      newGame(seed, settings);
+      if (kept) addLog(`💾 Playing seed ${runSeed} in slot "${activeSlot}"; the "${kept}" save is kept (L to switch back).`);
+    } else if (!loaded || !Array.isArray(pois) || pois.length === 0) {
+      seedRng(makeRandomSeed());
+      galaxy.current = HOME_SECTOR_KEY;
+      galaxy.sectors = {};
+      chart = emptyChart();
+      resetContracts();
+      seenEncounters = new Set();
+      encounter = null;
+      resetScanner();
+      pois = generatePOIs();
+      enemies = generateEnemies();
+      saveGame();
+      addLog(`Generated a new sector map (seed ${runSeed}).`);
+    } else {
+      addLog("Loaded saved sector map.");
+    }
+    beginRecording();
+  }
+
+  // --- Recording ---
+  // Everything since the last new game or load is recorded: the `input`
+  // bits of every tick (run-length encoded) and each action the player
+  // took between ticks, on top of a full snapshot of where it started.
+  // Replaying that on a fresh game reproduces the run exactly.
+  let tickCount = 0;
+  let recording = null; // { start, inputs: [[mask, ticks], ...], actions: [{ tick, name, args }] }
+  let actionDepth = 0;
+
+  // One fixed simulation step
+  function step() {
+    // Fly on exactly what gets recorded, so stick positions replay the same
+    const mask = inputMask(input);
+    applyInputMask(input, mask);
+    if (recording) {
+      const last = recording.inputs[recording.inputs.length - 1];
+      if (last && last[0] === mask) last[1]++;
+      else recording.inputs.push([mask, 1]);
+    }
+    update(FIXED_DT);
+    tickCount++;
+  }
+
+  // Full simulation state, including what saves leave out (velocities,
+  // enemy AI, projectiles, weapon timers, meta upgrades)
+  function snapshot() {
+    return JSON.parse(JSON.stringify({
+      save: serializeGame(),
+      meta,
+      player: { vx: player.vx, vy: player.vy },
+      enemies, projectiles, fireCooldown, lastHeading, autopilot,
+    }));
+  }
+
+  function restore(snap) {
+    snap = JSON.parse(JSON.stringify(snap));
+    applySave(snap.save);
+    Object.assign(meta, snap.meta);
+    player.vx = snap.player.vx;
+    player.vy = snap.player.vy;
+    enemies = snap.enemies;
+    projectiles = snap.projectiles;
+    fireCooldown = snap.fireCooldown;
+    lastHeading = snap.lastHeading;
+    autopilot = snap.autopilot ?? null;
+  }
+
+  function beginRecording() {
+    tickCount = 0;
+    recording = { start: snapshot(), inputs: [], actions: [] };
+  }
+
+  // Wrap a player action so it's recorded with the tick it happened on.
+  // Actions it triggers itself aren't recorded again.
+  function recorded(name, fn) {
+    return (...args) => {
+      if (recording && actionDepth === 0) recording.actions.push({ tick: tickCount, name, args });
+      actionDepth++;
+      try {
+        return fn(...args);
+      } finally {
+        actionDepth--;
+      }
+    };
+  }
+
+  const ACTIONS = {
+    handleInteract: recorded("handleInteract", handleInteract),
+    craft: recorded("craft", craft),
+    useItem: recorded("useItem", useItem),
+    buyUpgrade: recorded("buyUpgrade", buyUpgrade),
+    runStationService: recorded("runStationService", runStationService),
+    setWaypoint: recorded("setWaypoint", setWaypoint),
+    clearWaypoint: recorded("clearWaypoint", clearWaypoint),
+    equipModule: recorded("equipModule", equipModule),
+    unequipSlot: recorded("unequipSlot", unequipSlot),
+    jettisonModule: recorded("jettisonModule", jettisonModule),
+    acceptContract: recorded("acceptContract", acceptContract),
+    abandonContract: recorded("abandonContract", abandonContract),
+    chooseEncounter: recorded("chooseEncounter", chooseEncounter),
+    sensorPing: recorded("sensorPing", sensorPing),
+  };
+
+  // The recording so far as a replay file payload
+  function exportReplay() {
+    if (!recording) return null;
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: runSeed,
+      recordedAt: clock.now(),
+      ticks: tickCount,
+      poiTypes: Object.values(POI_TYPES),
+      encounters: Object.values(ENCOUNTERS),
+      start: recording.start,
+      inputs: recording.inputs.map(r => [...r]),
+      actions: recording.actions.map(a => ({ ...a, args: [...a.args] })),
+    };
+  }
+
+  // --- Plugins ---
+  // A plugin is { id, setup(api) }. setup() runs straight away with
+  //   game                 this game
+  //   on(event, fn)        listen for a GAME_EVENTS event
+  //   modifyOutcomes(fn)   swap outcome steps before they run
+  //   registerPOIType(def), registerPOIDefinitions(data), registerEncounterDefinitions(data)
+  // plus whatever the caller passes in `extras` (main.js adds HUD panels).
+  // A plugin's listener or modifier that throws is reported on the console
+  // and skipped, so a broken plugin can't stop the game.
+  const plugins = []; // ids, in the order they were added
+
+  function use(plugin, extras = {}) {
+    if (typeof plugin?.id !== "string" || typeof plugin.setup !== "function") {
+      throw new Error("a plugin needs an id and a setup() function");
+    }
+    if (plugins.includes(plugin.id)) throw new Error(`plugin "${plugin.id}" is already in use`);
+    plugins.push(plugin.id);
+
+    const guarded = (fn) => (...args) => {
+      try {
+        return fn(...args);
+      } catch (err) {
+        console.error(`plugin "${plugin.id}":`, err);
+        return undefined;
+      }
+    };
+    plugin.setup({
+      game,
+      on: (name, fn) => on(name, guarded(fn)),
+      modifyOutcomes: (fn) => modifyOutcomes(guarded(fn)),
+      registerPOIType, registerPOIDefinitions, registerEncounterDefinitions,
+      ...extras,
+    });
+  }
+
+  for (const def of DEFAULT_POI_TYPES) registerPOIType(def);
+
+  const game = {
+    player, ship, input, run, meta, galaxy, services: POI_SERVICES,
+    get pois() { return pois; },
+    get enemies() { return enemies; },
+    get projectiles() { return projectiles; },
+    get worldTime() { return worldTime; },
+    get runSeed() { return runSeed; },
+    get activeSlot() { return activeSlot; },
+    get slotNames() { return slotNames; },
+    get logLines() { return logLines; },
+    get chart() { return chart; },
+    get chartVersion() { return chartVersion; },
+    get autopilot() { return autopilot; },
+    get contracts() { return contracts; },
+    get encounter() { return encounterCard(); },
+    get scanner() { return scanner; },
+    get difficulty() { return difficulty; },
+    get history() { return history; },
+    get plugins() { return plugins; },
+
+    get tickCount() { return tickCount; },
+
+    ...ACTIONS,
+    start, newGame, update, step, damage, hullDamage, repair, addLog,
+    getNearestPOI, poisInArea, fragmentsCount, dangerLevel, isVisible, isRevealed, visRadius, pingRadius, scannerCooldownLeft, scanReport, rewardMultiplier, knownSectors,
+    isExplored, explorationPercent, routeEstimate, contractTimeLeft, describeContract,
+    gainScrap, spendScrap, addCargo, cargoUsed, cargoCapacity, recipeBlocker, stationEntries,
+    personalBests, clearHistory, achievementStatus, metaLevel, upgradeCost, upgradeUnlocked, runCredits, applyShipStats, shipStat, shipStats, gainModule,
+    registerPOIType, registerPOIDefinitions, poiDef, visitablePOITypes, registerEncounterDefinitions, conditionBlocker, poiCharges, poiCooldownLeft,
+    generatePOIs, generateEnemies, enterSector, placePlayer, jumpThrough,
+    serializeGame, saveGame, loadGame, describeSlot, switchSlot, deleteSlot, uniqueSlotName,
+    exportSlot, importSave,
+    snapshot, restore, exportReplay,
+    on, modifyOutcomes, use,
+  };
+  return game;
+}
+
+// --- Replays ---
+// A replay file is the recording from exportReplay(). It carries the POI
+// types it was recorded with, so it plays back the same anywhere.
+const REPLAY_FORMAT = "farreach-replay";
+const REPLAY_VERSION = 1;
+const REPLAY_ACTIONS = [
+  "handleInteract", "craft", "useItem", "buyUpgrade", "runStationService", "setWaypoint", "clearWaypoint",
+  "equipModule", "unequipSlot", "jettisonModule", "acceptContract", "abandonContract",
+  "chooseEncounter", "sensorPing",
+];
+const REPLAY_KEYFRAME_TICKS = Math.round(30 / FIXED_DT); // snapshot every 30 s of play for fast scrubbing
+
+// Throws on anything that isn't a replay this build can play
+function parseReplay(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== REPLAY_FORMAT) throw new Error("not a FarReach replay");
+  if (data.version !== REPLAY_VERSION) throw new Error(`replay is version ${data.version}, this build plays ${REPLAY_VERSION}`);
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) throw new Error("bad tick count");
+  if (!data.start?.save || !Array.isArray(data.inputs) || !Array.isArray(data.actions)) throw new Error("missing recording");
+  if (data.inputs.reduce((sum, r) => sum + r[1], 0) !== data.ticks) throw new Error("input track doesn't match tick count");
+  for (const a of data.actions) {
+    if (!REPLAY_ACTIONS.includes(a?.name)) throw new Error(`unknown action "${a?.name}"`);
+  }
+  return data;
+}
+
+// Plays a replay on its own game. seek() only ever simulates forward, from
+// the nearest keyframe at or before the target tick.
+function createPlayback(replay, hooks = {}) {
+  const game = createGame({ clock: { now: () => replay.recordedAt }, hooks });
+  for (const def of replay.poiTypes ?? []) game.registerPOIType(def);
+  game.registerEncounterDefinitions(replay.encounters ?? []);
+
+  const masks = new Uint32Array(replay.ticks); // stick bits go past the first byte
+  let at = 0;
+  for (const [mask, count] of replay.inputs) {
+    masks.fill(mask, at, at + count);
+    at += count;
+  }
+
+  const keyframes = new Map(); // tick -> snapshot
+  let tick = 0;
+  let nextAction = 0;
+
+  function jumpTo(frameTick, snap) {
+    game.restore(snap);
+    tick = frameTick;
+    nextAction = replay.actions.findIndex(a => a.tick >= frameTick);
+    if (nextAction < 0) nextAction = replay.actions.length;
+  }
+
+  // Actions happened between ticks, before the tick with their number
+  function runDueActions() {
+    while (nextAction < replay.actions.length && replay.actions[nextAction].tick <= tick) {
+      const a = replay.actions[nextAction++];
+      game[a.name](...a.args);
+    }
+  }
+
+  function seek(target) {
+    target = clamp(Math.floor(target), 0, replay.ticks);
+    if (target < tick) {
+      let best = 0;
+      for (const k of keyframes.keys()) if (k <= target && k > best) best = k;
+      jumpTo(best, keyframes.get(best));
+    }
+    while (tick < target) {
+      if (tick % REPLAY_KEYFRAME_TICKS === 0 && !keyframes.has(tick)) keyframes.set(tick, game.snapshot());
+      runDueActions();
+      applyInputMask(game.input, masks[tick]);
+      game.update(FIXED_DT);
+      tick++;
+    }
+    if (tick === replay.ticks) runDueActions();
+  }
+
+  keyframes.set(0, replay.start);
+  jumpTo(0, replay.start);
+
+  return {
+    game,
+    get tick() { return tick; },
+    length: replay.ticks,
+    seek,
+  };
+}
+
+// In-memory stand-in for localStorage (tests, the simulator)
+function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    keys: () => Array.from(data.keys()),
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createGame, createMemoryStorage,
+    GRID_W, GRID_H, FRAG_TOTAL, FIXED_POIS, HOME_SECTOR_KEY, JUMP_FUEL_COST,
+    RESOURCES, ITEMS, SLOTS, MODULES, MAX_SPARES, RECIPES, CONTRACT_KINDS, MAX_CONTRACTS, META_UPGRADES, DEFAULT_POI_TYPES, ENEMY_TYPES,
+    GAME_EVENTS, SAVE_VERSION, LEGACY_SAVE_KEY, SLOT_PREFIX, BACKUP_PREFIX, META_KEY, HISTORY_KEY, PERSONAL_BESTS, ACHIEVEMENTS_KEY, ACHIEVEMENTS,
+    DIFFICULTY_PRESETS, RUN_MODIFIERS, DEFAULT_DIFFICULTY, normalizeDifficulty, difficultyEffects, difficultyLabel,
+    hashSeed, mulberry32, dailySeed, migrateSave, sectorDepth, sectorLabel, contractText,
+    PING_FUEL, PING_COOLDOWN, PING_REVEAL, INDEX_CELL, buildPOIIndex, nearestInIndex, FIXED_DT, INPUT_KEYS, inputMask, applyInputMask, parseReplay, createPlayback,
+  };
+}
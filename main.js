@@ -1,4 +1,6 @@
 // main.js
+// Browser front end: canvas rendering, HUD, overlays and input on top of the
+// game core in core.js.
 
 const canvas = document.getElementById("game");
 const ctx = canvas.getContext("2d");
@@ -6,11 +8,40 @@ const ctx = canvas.getContext("2d");
 const statusEl = document.getElementById("status");
 const hintEl = document.getElementById("hint");
 const logEl = document.getElementById("log");
+const upgradesEl = document.getElementById("upgrades");
+const savesEl = document.getElementById("saves");
+const galaxyEl = document.getElementById("galaxy");
+const craftingEl = document.getElementById("crafting");
+const loadoutEl = document.getElementById("loadout");
+const contractsEl = document.getElementById("contracts");
+const encounterEl = document.getElementById("encounter");
+const missionsEl = document.getElementById("missions");
+const pluginsEl = document.getElementById("hud-plugins");
+const stationEl = document.getElementById("station");
+const cargoEl = document.getElementById("cargo");
+const importFileEl = document.getElementById("import-file");
+const replaysEl = document.getElementById("replays");
+const summaryEl = document.getElementById("summary");
+const historyEl = document.getElementById("history");
+const achievementsEl = document.getElementById("achievements");
+const toastsEl = document.getElementById("toasts");
+const controlsEl = document.getElementById("controls");
+const bindingsEl = document.getElementById("bindings");
+const menuEl = document.getElementById("menu");
+const newGameEl = document.getElementById("new-game");
+const settingsEl = document.getElementById("settings");
+const touchEl = document.getElementById("touch-controls");
+const touchStickEl = document.getElementById("touch-stick");
+const touchKnobEl = document.getElementById("touch-knob");
+const replayFileEl = document.getElementById("replay-file");
+const replayBarEl = document.getElementById("replay-bar");
+const tooltipEl = document.getElementById("tooltip");
+const seedEl = document.getElementById("seed");
+const seedFormEl = document.getElementById("seed-form");
+const seedInputEl = document.getElementById("seed-input");
+const seedDailyEl = document.getElementById("seed-daily");
 
 // --- Config ---
-const GRID_W = 24;
-const GRID_H = 24;
-
 // Diamond tile size (screen space)
 const TILE_W = 36; // width of diamond
 const TILE_H = 18; // height of diamond
@@ -18,41 +49,72 @@ const TILE_H = 18; // height of diamond
 // Where grid (0,0) lands on screen
 let ORIGIN = { x: canvas.width / 2, y: 80 };
 
-// Fog of war visibility radius (in tile units)
-const VIS_RADIUS = 4;
+const POI_DEFS_URL = "poi-types.json";
+const ENCOUNTERS_URL = "encounters.json";
 
-// --- State ---
-const player = {
-  wx: 12, wy: 12,  // world position (float tiles)
-  px: 0,  py: 0,   // screen position
-  vx: 0,  vy: 0,   // velocity in world space
-};
+// --- Game ---
+let lastRun = null; // summary of the run that just ended
 
-const ship = {
-  hull: 10,
-  maxHull: 10,
-  scrap: 0,
-  hasLegendary: false,
-  fragments: new Set(), // holds 1..10
-  fuel: 30,
-  maxFuel: 30,
-};
+function showLog(lines) {
+  logEl.textContent = lines.join("\n");
+}
 
-const input = {
-  up: false, down: false, left: false, right: false,
-  boost: false,
-  brake: false,
-};
+const audio = createAudio({ storage: localStorage });
+
+const liveGame = createGame({
+  storage: localStorage,
+  clock: Date,
+  hooks: {
+    log: showLog,
+    death() {
+      audio.explosion(true);
+      if (lastHit) explodeAt(lastHit.x, lastHit.y, true);
+      // Esc skips straight to the upgrades screen
+      openOverlay("summary", "upgrades");
+    },
+    damage(amount) {
+      audio.hit(amount);
+      lastHit = { x: player.wx, y: player.wy };
+      hitFeedback(amount);
+    },
+    kill(type, x, y) {
+      audio.explosion();
+      explodeAt(x, y);
+    },
+    interact(type) {
+      audio.chime(type);
+      debrisAt(type);
+    },
+    runEnd(summary) {
+      lastRun = summary;
+    },
+    station() {
+      openOverlay("station");
+    },
+    jump() {
+      particles = []; // they were in the sector just left
+      centerCameraOnPlayer();
+    },
+    encounter() {
+      openOverlay("encounter");
+    },
+    achievement(a) {
+      showToast(`🏆 Achievement unlocked: <b>${escapeHtml(a.name)}</b><div class="hint">${escapeHtml(a.desc)}</div>`);
+    },
+  },
+});
 
-const FRAG_TOTAL = 10;
+// The game on screen: the live one, or a replay's while one is playing.
+// These objects live as long as their game; pois, enemies etc. get
+// replaced, so read those through `game.`
+let game = liveGame;
+let { player, ship, input, meta, galaxy } = game;
 
-// --- POIs ---
-const FIXED_POIS = [
-  { x: 6,  y: 6,  type: "Station" },
-  { x: 18, y: 9,  type: "Asteroids" },
-  { x: 10, y: 18, type: "Derelict" },
-  { x: 22, y: 22, type: "Far Corner" },
-];
+function showGame(g) {
+  game = g;
+  ({ player, ship, input, meta, galaxy } = g);
+  showLog(g.logLines);
+}
 
 // --- Canvas ---
 let VIEW_W = window.innerWidth;
@@ -63,21 +125,11 @@ const camera = { x: 0, y: 0 }; // screen-space offset
 const CAMERA_FOLLOW = 8.5;     // higher = snappier follow (try 6–14)
 const CAMERA_DEADZONE = 0.0;   // pixels; set 20–60 if you want a slack zone
 
-
-let pois = []; // loaded or generated
-
 // Center camera on player immediately
 function centerCameraOnPlayer() {
-  camera.x = (VIEW_W / 2) - player.px;
-  camera.y = (VIEW_H / 2) - player.py;
-}
-
-// --- Log ---
-let logLines = [];
-function addLog(text) {
-  logLines.unshift(text);
-  logLines = logLines.slice(0, 8);
-  logEl.textContent = logLines.join("\n");
+  const s = gridToScreen(player.wx, player.wy);
+  camera.x = (VIEW_W / 2) - s.x;
+  camera.y = (VIEW_H / 2) - s.y;
 }
 
 // --- Math ---
@@ -87,6 +139,28 @@ function gridToScreen(gx, gy) {
   return { x: sx, y: sy };
 }
 
+// How far the frame is between the last simulation step and the next (0–1)
+let renderAlpha = 1;
+
+// Moving things are drawn between their last two simulated positions
+function bodyToScreen(body) {
+  const gx = body.lastWx === undefined ? body.wx : body.lastWx + (body.wx - body.lastWx) * renderAlpha;
+  const gy = body.lastWy === undefined ? body.wy : body.lastWy + (body.wy - body.lastWy) * renderAlpha;
+  return gridToScreen(gx, gy);
+}
+
+// Inverse of gridToScreen() plus the zoom and camera transforms in render():
+// a point on the canvas (CSS pixels) to fractional grid coordinates
+function screenToGrid(px, py) {
+  const pivotX = VIEW_W / 2;
+  const pivotY = VIEW_H / 2;
+  const wx = (px - pivotX) / zoom + pivotX - camera.x - ORIGIN.x;
+  const wy = (py - pivotY) / zoom + pivotY - camera.y - ORIGIN.y;
+  const a = wx / (TILE_W / 2); // gx - gy
+  const b = wy / (TILE_H / 2); // gx + gy
+  return { x: (a + b) / 2, y: (b - a) / 2 };
+}
+
 function drawDiamond(cx, cy, w, h) {
   ctx.beginPath();
   ctx.moveTo(cx, cy - h / 2);
@@ -96,182 +170,117 @@ function drawDiamond(cx, cy, w, h) {
   ctx.closePath();
 }
 
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
-}
-
-function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+// --- Designer files ---
+// Fetch a designer file and hand it to `register`. Opening the game
+// straight from disk (file://) can't fetch, which just means defaults only
+// (and no encounters). Resolves to a list of problems found in the file,
+// each prefixed with the file name.
+async function loadDefinitions(url, register) {
+  let data;
+  try {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) return [];
+    data = await res.json();
+  } catch (err) {
+    return err instanceof SyntaxError ? [`${url}: not valid JSON (${err.message})`] : [];
+  }
+  return register(data).map(p => `${url}: ${p}`);
 }
 
-function chance(p01) {
-  return Math.random() < p01;
+// --- Plugins ---
+// Scripts loaded after this one (or named with ?plugin=path.js in the URL)
+// extend the game with registerPlugin({ id, setup(api) }); see use() in
+// core.js for the api. Here plugins also get
+//   addPanel({ title, render(game) })   a HUD panel showing render()'s text
+// Each plugin is set up on the live game and again on every replay's, so
+// outcome changes play back the same; keep a plugin's state inside setup().
+// Panels are only added for the live game.
+const plugins = [];
+const pluginPanels = []; // { el, text, render }
+
+function registerPlugin(plugin) {
+  liveGame.use(plugin, { addPanel });
+  plugins.push(plugin);
 }
 
-function fragmentsCount() {
-  return ship.fragments.size;
+function addPanel({ title, render }) {
+  const el = document.createElement("div");
+  el.className = "panel";
+  el.innerHTML = `<div class="title">${escapeHtml(title)}</div><pre class="mono"></pre>`;
+  pluginsEl.appendChild(el);
+  pluginPanels.push({ el: el.querySelector("pre"), text: null, render });
 }
 
-function getRandomMissingFragment() {
-  const missing = [];
-  for (let i = 1; i <= FRAG_TOTAL; i++) {
-    if (!ship.fragments.has(i)) missing.push(i);
+// Panels redraw every frame but only touch the DOM on change
+function updatePluginPanels() {
+  for (const panel of pluginPanels) {
+    const text = String(panel.render(game) ?? "");
+    if (text !== panel.text) panel.el.textContent = panel.text = text;
   }
-  if (missing.length === 0) return null;
-  return missing[Math.floor(Math.random() * missing.length)];
-}
-
-function manhattan(ax, ay, bx, by) {
-  return Math.abs(ax - bx) + Math.abs(ay - by);
 }
 
-function getNearestPOI(wx, wy, radius = 0.65) {
-  let best = null;
-  for (const p of pois) {
-    const d = Math.hypot(p.x - wx, p.y - wy);
-    if (d <= radius && (!best || d < best.d)) best = { d, poi: p };
-  }
-  return best ? best.poi : null;
+// ?plugin= scripts, in order; resolves to the ones that failed to load
+function loadPluginScripts() {
+  const urls = new URLSearchParams(window.location.search).getAll("plugin");
+  return urls.reduce((done, url) => done.then(problems => new Promise(resolve => {
+    const el = document.createElement("script");
+    el.src = url;
+    el.onload = () => resolve(problems);
+    el.onerror = () => resolve([...problems, `${url}: plugin could not be loaded`]);
+    document.body.appendChild(el);
+  })), Promise.resolve([]));
 }
 
-// --- Damage / Repair / Spend ---
-function damage(amount) {
-  ship.hull = clamp(ship.hull - amount, 0, ship.maxHull);
-
-  if (ship.hull <= 0) {
-    addLog("💥 Ship destroyed! Resetting run (keeping collection).");
-
-    ship.hull = ship.maxHull;
-    ship.scrap = 0;
-    ship.fuel = ship.maxFuel;
-
-    player.wx = 12;
-    player.wy = 12;
-    player.vx = 0;
-    player.vy = 0;
-
-    const s = gridToScreen(player.wx, player.wy);
-    player.px = s.x;
-    player.py = s.y;
-
-    saveGame();
+// Suffix for the HUD hint: charges left, cooldown, or depletion
+function poiStatusText(poi, def) {
+  if (poi.pool !== undefined && game.poiCharges(poi) < 1) {
+    if (def.respawnAfter !== undefined) return " · depleted";
+    const secs = Math.ceil((1 - poi.pool) * def.regenTime);
+    return ` · depleted (next charge ~${secs}s)`;
   }
+  const parts = [];
+  if (poi.pool !== undefined) parts.push(`${game.poiCharges(poi)}/${def.pool} left`);
+  const cd = game.poiCooldownLeft(poi);
+  if (cd > 0) parts.push(`recharging ${cd.toFixed(1)}s`);
+  return parts.length ? ` · ${parts.join(", ")}` : "";
 }
 
-function repair(amount) {
-  ship.hull = clamp(ship.hull + amount, 0, ship.maxHull);
-}
-
-function spendScrap(amount) {
-  if (ship.scrap < amount) return false;
-  ship.scrap -= amount;
-  return true;
+// What the scanner read off a POI, or "" if it hasn't been pinged
+function scanText(poi) {
+  const report = game.scanReport(poi);
+  if (!report) return "";
+  const parts = [report.trap > 0 ? `hazard ${Math.round(report.trap * 100)}%` : "no hazard"];
+  if (report.yields.length) parts.push(report.yields.join(", "));
+  return `📡 ${parts.join(" · ")}`;
 }
 
-// --- POI Generation ---
-const EXTRA_POI_COUNT = 26; // tune 20–40
-const MIN_DIST_FROM_STATION = 4;
-
-function keyXY(x, y) {
-  return `${x},${y}`;
+// --- Export ---
+function downloadJSON(text, fileName) {
+  const blob = new Blob([text], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
-function generatePOIs() {
-  const station = FIXED_POIS.find(p => p.type === "Station");
-  const used = new Set();
-  const out = [];
-
-  for (const p of FIXED_POIS) {
-    out.push({ ...p });
-    used.add(keyXY(p.x, p.y));
-  }
-
-  const extraTypes = ["Relay", "Wreckage", "Gas", "Beacon"];
-
-  let attempts = 0;
-  while (out.length < FIXED_POIS.length + EXTRA_POI_COUNT && attempts < 5000) {
-    attempts++;
-
-    const x = randInt(0, GRID_W - 1);
-    const y = randInt(0, GRID_H - 1);
-    const k = keyXY(x, y);
-
-    if (used.has(k)) continue;
-    if (manhattan(x, y, station.x, station.y) < MIN_DIST_FROM_STATION) continue;
-
-    let tooClose = false;
-    for (const p of out) {
-      if (manhattan(x, y, p.x, p.y) <= 1) { tooClose = true; break; }
-    }
-    if (tooClose) continue;
-
-    const type = extraTypes[randInt(0, extraTypes.length - 1)];
-    out.push({ x, y, type });
-    used.add(k);
-  }
-
-  return out;
+function fileSafe(name) {
+  return name.replace(/[^\w-]+/g, "_");
 }
 
-// --- Save/Load ---
-function saveGame() {
-  const data = {
-    ship: {
-      hull: ship.hull,
-      maxHull: ship.maxHull,
-      scrap: ship.scrap,
-      fuel: ship.fuel,
-      maxFuel: ship.maxFuel,
-      hasLegendary: ship.hasLegendary,
-      fragments: Array.from(ship.fragments),
-    },
-    player: {
-      wx: player.wx,
-      wy: player.wy,
-    },
-    pois: pois,
-  };
-  localStorage.setItem("iso_space_save", JSON.stringify(data));
+function exportSlot(name) {
+  const raw = game.exportSlot(name);
+  if (raw === null) return;
+  downloadJSON(raw, `farreach-${fileSafe(name)}.json`);
+  game.addLog(`📤 Exported slot "${name}".`);
 }
 
-function loadGame() {
-  const raw = localStorage.getItem("iso_space_save");
-  if (!raw) return false;
-
-  try {
-    const data = JSON.parse(raw);
-
-    if (data?.ship) {
-      ship.hull = data.ship.hull ?? ship.hull;
-      ship.maxHull = data.ship.maxHull ?? ship.maxHull;
-      ship.scrap = data.ship.scrap ?? ship.scrap;
-      ship.fuel = data.ship.fuel ?? ship.fuel;
-      ship.maxFuel = data.ship.maxFuel ?? ship.maxFuel;
-      ship.hasLegendary = !!data.ship.hasLegendary;
-      ship.fragments = new Set(Array.isArray(data.ship.fragments) ? data.ship.fragments : []);
-    }
-
-    if (data?.player) {
-      player.wx = data.player.wx ?? player.wx;
-      player.wy = data.player.wy ?? player.wy;
-      player.vx = 0;
-      player.vy = 0;
-      player.wx = clamp(player.wx, 0, GRID_W - 1);
-      player.wy = clamp(player.wy, 0, GRID_H - 1);
-    }
-
-    if (Array.isArray(data?.pois) && data.pois.length > 0) {
-      pois = data.pois;
-    }
-
-    const s = gridToScreen(player.wx, player.wy);
-    player.px = s.x;
-    player.py = s.y;
-
-    return true;
-  } catch {
-    return false;
-  }
+function switchSlot(name) {
+  game.switchSlot(name);
+  centerCameraOnPlayer();
 }
 
 // --- Zoom ---
@@ -310,144 +319,440 @@ function resizeCanvas() {
 
 }
 
-window.addEventListener("wheel", (e) => {
-  e.preventDefault();
-
-  // Zoom in/out
-  const dir = Math.sign(e.deltaY); // +1 scroll down, -1 scroll up
-  const factor = dir > 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
-
+function zoomBy(factor) {
   zoom = clampZoom(zoom * factor);
   // keep player centered while zooming
   centerCameraOnPlayer();
+}
+
+window.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  // +1 scroll down (out), -1 scroll up (in)
+  zoomBy(Math.sign(e.deltaY) > 0 ? 1 / ZOOM_STEP : ZOOM_STEP);
 }, { passive: false });
 
-window.addEventListener("keydown", (e) => {
-  const k = e.key;
-  if (k === "+" || k === "=") zoom = clampZoom(zoom * ZOOM_STEP);
-  if (k === "-" || k === "_") zoom = clampZoom(zoom / ZOOM_STEP);
-  if (k === "0") zoom = 1.0; // reset
-  // immediately re-center after keyboard zoom
-  centerCameraOnPlayer();
-});
+// Keys typed into HUD fields (seed box) must not fly the ship
+function isTypingTarget(e) {
+  const t = e.target;
+  return !!t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA");
+}
 
 // --- Input ---
-window.addEventListener("keydown", (e) => {
-  const key = e.key.toLowerCase();
+// Keys, a gamepad and the touch controls all drive the same named actions.
+// Held ones (thrust, boost, brake, fire) are merged into `input` before the
+// frame's steps; the rest happen once per press. Keys can be rebound on the
+// controls screen (K) and the bindings are kept in storage.
+const BINDINGS_KEY = "iso_space_bindings";
+
+const CONTROL_ACTIONS = [
+  { id: "up",        name: "Thrust up",               keys: ["w", "arrowup"], held: true },
+  { id: "left",      name: "Thrust left",             keys: ["a", "arrowleft"], held: true },
+  { id: "down",      name: "Thrust down",             keys: ["s", "arrowdown"], held: true },
+  { id: "right",     name: "Thrust right",            keys: ["d", "arrowright"], held: true },
+  { id: "boost",     name: "Boost",                   keys: ["shift"], held: true },
+  { id: "brake",     name: "Brake",                   keys: [" "], held: true },
+  { id: "interact",  name: "Interact / Station menu", keys: ["e"] },
+  { id: "fire",      name: "Fire",                    keys: ["f"], held: true },
+  { id: "craft",     name: "Craft (at Station)",      keys: ["c"] },
+  { id: "loadout",   name: "Loadout",                 keys: ["i"] },
+  { id: "contracts", name: "Contracts",               keys: ["j"] },
+  { id: "ping",      name: "Sensor ping",             keys: ["q"] },
+  ...Object.entries(ITEMS).map(([id, item]) => ({ id, name: item.name, keys: [item.key] })),
+  { id: "upgrades",  name: "Upgrades (at Station)",   keys: ["u"] },
+  { id: "galaxy",    name: "Galaxy Map",              keys: ["m"] },
+  { id: "saves",     name: "Saves",                   keys: ["l"] },
+  { id: "replays",   name: "Replays",                 keys: ["v"] },
+  { id: "history",   name: "Run history",             keys: ["h"] },
+  { id: "achievements", name: "Achievements",         keys: ["y"] },
+  { id: "bindings",  name: "Controls",                keys: ["k"] },
+  { id: "settings",  name: "Settings",                keys: ["o"] },
+  { id: "mute",      name: "Mute / unmute",           keys: ["x"] },
+  { id: "newGame",   name: "New Game",                keys: ["n"] },
+  { id: "menu",      name: "Menu",                    keys: [] },
+  { id: "zoomIn",    name: "Zoom in",                 keys: ["+", "="] },
+  { id: "zoomOut",   name: "Zoom out",                keys: ["-", "_"] },
+  { id: "zoomReset", name: "Reset zoom",              keys: ["0"] },
+  { id: "perf",      name: "Performance overlay",     keys: ["`"] },
+];
+const HELD_ACTIONS = CONTROL_ACTIONS.filter(a => a.held).map(a => a.id);
+const ZOOM_ACTIONS = ["zoomIn", "zoomOut", "zoomReset"];
 
-  if (key === "shift") input.boost = true;
+function atStation() {
+  const poi = game.getNearestPOI(player.wx, player.wy, 0.70);
+  return !!poi && game.poiDef(poi.type)?.service === "station";
+}
 
-  if (key === "arrowup" || key === "w") input.up = true;
-  if (key === "arrowdown" || key === "s") input.down = true;
-  if (key === "arrowleft" || key === "a") input.left = true;
-  if (key === "arrowright" || key === "d") input.right = true;
-  if (key === " ") input.brake = true;   // keydown
+// What each press action does in flight
+const PRESS_ACTIONS = {
+  interact() {
+    // Only interact if near something
+    if (game.getNearestPOI(player.wx, player.wy, 0.70)) game.handleInteract();
+  },
+  craft() {
+    if (atStation()) openOverlay("crafting");
+    else game.addLog("Crafting is available at the Station.");
+  },
+  upgrades() {
+    if (atStation()) openUpgrades();
+    else game.addLog("Upgrades are available at the Station.");
+  },
+  ping: () => game.sensorPing(),
+  loadout: () => openOverlay("loadout"),
+  contracts: () => openOverlay("contracts"),
+  galaxy: () => openOverlay("galaxy"),
+  saves: () => openOverlay("saves"),
+  replays: () => openOverlay("replays"),
+  history: () => openOverlay("history"),
+  achievements: () => openOverlay("achievements"),
+  bindings: () => openOverlay("bindings"),
+  settings: () => openOverlay("settings"),
+  mute() {
+    audio.toggleMute();
+    game.addLog(audio.settings.muted ? "🔇 Sound off." : "🔊 Sound on.");
+  },
+  newGame() {
+    newGameSettings = normalizeDifficulty(game.difficulty); // a copy
+    openOverlay("newGame");
+  },
+  menu: () => openOverlay("menu"),
+  zoomIn: () => zoomBy(ZOOM_STEP),
+  zoomOut: () => zoomBy(1 / ZOOM_STEP),
+  zoomReset: () => zoomBy(1 / zoom),
+  perf() { perf.shown = !perf.shown; },
+};
+for (const id of Object.keys(ITEMS)) PRESS_ACTIONS[id] = () => game.useItem(id);
 
+function defaultBindings() {
+  return Object.fromEntries(CONTROL_ACTIONS.map(a => [a.id, [...a.keys]]));
+}
 
-  if (key === "n") { newGame(); return; }
+// Saved bindings over the defaults; a broken entry keeps the default
+function loadBindings() {
+  const bindings = defaultBindings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY) ?? "{}");
+    for (const id of Object.keys(bindings)) {
+      if (Array.isArray(saved[id]) && saved[id].every(k => typeof k === "string")) bindings[id] = saved[id];
+    }
+  } catch {
+    // unreadable: defaults
+  }
+  return bindings;
+}
 
-  if (key === "e") {
-    // Only interact if near something
-    const poi = getNearestPOI(player.wx, player.wy, 0.70);
-    if (poi) handleInteract();
-    return;
+let bindings = loadBindings();
+let keyActions = {}; // key -> action id
+
+function indexBindings() {
+  keyActions = {};
+  for (const [id, keys] of Object.entries(bindings)) {
+    for (const k of keys) keyActions[k] = id;
   }
-});
+  renderControlsHelp();
+}
 
-window.addEventListener("keyup", (e) => {
-  const key = e.key.toLowerCase();
+// `key` becomes the action's main key (alternates stay); any other
+// action bound to it loses it
+function bindKey(id, key) {
+  const alternates = bindings[id].slice(1).filter(k => k !== key);
+  for (const keys of Object.values(bindings)) {
+    const i = keys.indexOf(key);
+    if (i >= 0) keys.splice(i, 1);
+  }
+  bindings[id] = [key, ...alternates];
+  localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+  indexBindings();
+}
+
+function resetBindings() {
+  bindings = defaultBindings();
+  localStorage.removeItem(BINDINGS_KEY);
+  indexBindings();
+}
+
+const KEY_NAMES = {
+  " ": "Space", arrowup: "↑", arrowdown: "↓", arrowleft: "←", arrowright: "→",
+  shift: "Shift", control: "Ctrl", alt: "Alt", enter: "Enter", tab: "Tab", backspace: "Backspace",
+};
+
+function keyLabel(key) {
+  return KEY_NAMES[key] ?? (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+}
+
+function bindingLabel(id) {
+  return bindings[id].map(keyLabel).join(" / ") || "—";
+}
+
+// The CONTROLS panel, written from the current bindings
+function renderControlsHelp() {
+  const thrust = ["up", "left", "down", "right"];
+  const sets = [0, 1].map(i => thrust.map(id => bindings[id][i] ? keyLabel(bindings[id][i]) : "").join(""));
+  const lines = [`${sets.filter(Boolean).join(" / ") || "—"} — Thrust`];
+  for (const a of CONTROL_ACTIONS) {
+    if (thrust.includes(a.id) || ZOOM_ACTIONS.includes(a.id) || bindings[a.id].length === 0) continue;
+    lines.push(`${bindingLabel(a.id)} — ${a.name}`);
+    if (a.id === "fire") lines.push("Click — Autopilot (right-click cancels)");
+  }
+  controlsEl.innerHTML = lines.map(escapeHtml).join("<br />");
+}
+
+indexBindings();
+
+// Held actions by source; each source sets and clears its own
+const held = { keys: {}, pad: {}, touch: {} };
+const sticks = { pad: null, touch: null }; // screen-space { x, y }, -1..1, or null
 
-  if (key === "shift") input.boost = false;
+function releaseHeld() {
+  held.keys = {};
+  held.pad = {};
+  held.touch = {};
+}
+
+// A stick pushed in a screen direction, as the grid thrust that flies the
+// ship that way on screen, just as hard
+function stickToGrid({ x, y }) {
+  const tilt = Math.min(1, Math.hypot(x, y));
+  const gx = x / TILE_W + y / TILE_H;
+  const gy = y / TILE_H - x / TILE_W;
+  const len = Math.hypot(gx, gy);
+  return len === 0 ? { x: 0, y: 0 } : { x: gx / len * tilt, y: gy / len * tilt };
+}
 
-  if (key === "arrowup" || key === "w") input.up = false;
-  if (key === "arrowdown" || key === "s") input.down = false;
-  if (key === "arrowleft" || key === "a") input.left = false;
-  if (key === "arrowright" || key === "d") input.right = false;
-  if (key === " ") input.brake = false;  // keyup
+// Everything held right now into the live game's `input`
+function syncInput() {
+  for (const id of HELD_ACTIONS) input[id] = !!(held.keys[id] || held.pad[id] || held.touch[id]);
+  const stick = sticks.touch ?? sticks.pad;
+  const thrust = stick ? stickToGrid(stick) : { x: 0, y: 0 };
+  input.stickX = thrust.x;
+  input.stickY = thrust.y;
+}
 
+window.addEventListener("keyup", (e) => {
+  const action = keyActions[e.key.toLowerCase()];
+  if (action) held.keys[action] = false;
 });
 
-// --- Update loop (movement + fuel) ---
-let saveCooldown = 0; // throttle localStorage writes while moving
+// --- Gamepad ---
+// Standard-mapping pads. In flight the left stick steers in screen
+// directions (tilt it further for more thrust) and the d-pad thrusts like
+// the keys; in menus the d-pad or stick moves the selection, A picks and
+// B backs out. During a replay A pauses and B exits.
+const PAD_DEADZONE = 0.2;
+const PAD_HELD = { 12: "up", 13: "down", 14: "left", 15: "right", 7: "boost", 6: "brake", 2: "fire" };
+const PAD_PRESS = { 0: "interact", 3: "ping", 4: "repairKit", 5: "fuelCell", 8: "galaxy", 9: "menu" };
+let padDown = {}; // button (or stick direction) -> held on the last poll
+
+function pollGamepad() {
+  const pad = Array.from(navigator.getGamepads?.() ?? []).find(p => p?.connected);
+  if (!pad) {
+    held.pad = {};
+    sticks.pad = null;
+    return;
+  }
 
-function update(dt) {
-  // Thrust direction from keys (diagonals allowed)
-  let ax = 0, ay = 0;
-  if (input.left) ax -= 1;
-  if (input.right) ax += 1;
-  if (input.up) ay -= 1;
-  if (input.down) ay += 1;
+  const down = {};
+  pad.buttons.forEach((b, i) => { down[i] = b.pressed || b.value > 0.5; });
+  const sx = pad.axes[0] ?? 0;
+  const sy = pad.axes[1] ?? 0;
+  const tilt = Math.hypot(sx, sy);
+  // flicking the stick counts as a d-pad press in menus
+  down.stickUp = sy < -0.6;
+  down.stickDown = sy > 0.6;
+  const before = padDown;
+  const pressed = (b) => down[b] && !before[b];
+  padDown = down;
+
+  if (replay) {
+    if (pressed(0)) toggleReplayPause();
+    if (pressed(1)) exitReplay();
+    return;
+  }
 
-  const len = Math.hypot(ax, ay);
-  if (len > 0) { ax /= len; ay /= len; }
+  if (activeOverlay) {
+    held.pad = {};
+    sticks.pad = null;
+    if (pressed(12) || pressed("stickUp")) moveOverlaySelection(-1);
+    if (pressed(13) || pressed("stickDown")) moveOverlaySelection(1);
+    if (pressed(0)) overlayButtons()[overlaySelection]?.click();
+    else if (pressed(1) || (pressed(9) && activeOverlay === "menu")) closeOverlay();
+    return;
+  }
 
-  const accel = input.boost ? 38 : 24;
-  const maxSpeed = input.boost ? 14 : 9;
-  const drag = 3.2;
+  for (const [b, id] of Object.entries(PAD_HELD)) held.pad[id] = !!down[b];
+  sticks.pad = tilt < PAD_DEADZONE ? null
+    : { x: sx / tilt * (tilt - PAD_DEADZONE) / (1 - PAD_DEADZONE), y: sy / tilt * (tilt - PAD_DEADZONE) / (1 - PAD_DEADZONE) };
+  for (const [b, id] of Object.entries(PAD_PRESS)) {
+    if (pressed(b)) PRESS_ACTIONS[id]();
+  }
+}
 
-  player.vx += ax * accel * dt;
-  player.vy += ay * accel * dt;
+// --- Touch ---
+// An on-screen stick and buttons, shown once the screen is touched. A tap
+// on the map sets a waypoint like a click; two fingers pinch to zoom.
+const TOUCH_STICK_RADIUS = 50; // px of knob travel for full thrust
+let stickPointer = null;
 
-  const brakeDrag = 14;
-  const usedDrag = input.brake ? brakeDrag : drag;
-  const dragFactor = Math.exp(-usedDrag * dt);
-  player.vx *= dragFactor;
-  player.vy *= dragFactor;
+function showTouchControls() {
+  touchEl.classList.remove("hidden");
+}
 
-  const sp = Math.hypot(player.vx, player.vy);
-  if (sp > maxSpeed) {
-    const over = sp - maxSpeed;
-    const damp = Math.exp(-over * 0.35 * dt);
-    player.vx *= damp;
-    player.vy *= damp;
+if (window.matchMedia?.("(pointer: coarse)").matches) showTouchControls();
+window.addEventListener("pointerdown", (e) => {
+  if (e.pointerType === "touch") showTouchControls();
+}, true);
+
+function moveTouchStick(e) {
+  const rect = touchStickEl.getBoundingClientRect();
+  let dx = e.clientX - (rect.left + rect.width / 2);
+  let dy = e.clientY - (rect.top + rect.height / 2);
+  const dist = Math.hypot(dx, dy);
+  if (dist > TOUCH_STICK_RADIUS) {
+    dx *= TOUCH_STICK_RADIUS / dist;
+    dy *= TOUCH_STICK_RADIUS / dist;
   }
+  sticks.touch = { x: dx / TOUCH_STICK_RADIUS, y: dy / TOUCH_STICK_RADIUS };
+  touchKnobEl.style.transform = `translate(${dx}px, ${dy}px)`;
+}
 
-  const oldWx = player.wx;
-  const oldWy = player.wy;
+function releaseTouchStick() {
+  stickPointer = null;
+  sticks.touch = null;
+  touchKnobEl.style.transform = "";
+}
 
-  player.wx = clamp(player.wx + player.vx * dt, 0, GRID_W - 1);
-  player.wy = clamp(player.wy + player.vy * dt, 0, GRID_H - 1);
+touchStickEl.addEventListener("pointerdown", (e) => {
+  e.preventDefault();
+  stickPointer = e.pointerId;
+  touchStickEl.setPointerCapture(e.pointerId);
+  moveTouchStick(e);
+});
+touchStickEl.addEventListener("pointermove", (e) => {
+  if (e.pointerId === stickPointer) moveTouchStick(e);
+});
+for (const type of ["pointerup", "pointercancel"]) {
+  touchStickEl.addEventListener(type, (e) => {
+    if (e.pointerId === stickPointer) releaseTouchStick();
+  });
+}
 
-  const dist = Math.hypot(player.wx - oldWx, player.wy - oldWy);
+// data-hold buttons act while pressed, data-press ones once per tap
+for (const btn of touchEl.querySelectorAll("[data-hold]")) {
+  const id = btn.dataset.hold;
+  btn.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    held.touch[id] = true;
+  });
+  for (const type of ["pointerup", "pointercancel", "pointerleave"]) {
+    btn.addEventListener(type, () => { held.touch[id] = false; });
+  }
+}
 
-  saveCooldown -= dt;
+touchEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-press]");
+  if (!btn || replay || isPaused()) return;
+  PRESS_ACTIONS[btn.dataset.press]();
+});
 
-  if (dist > 0.00005) {
-    const fuelRate = input.boost ? 1.6 : 1.0;
+const pinchPointers = new Map(); // pointer id -> { x, y }
+let pinchStart = null; // { dist, zoom } when the second finger landed
 
-    if (ship.fuel <= 0) {
-      if (chance(0.02)) damage(1);
-    } else {
-      ship.fuel = clamp(ship.fuel - dist * fuelRate, 0, ship.maxFuel);
-    }
+function pinchDistance() {
+  const [a, b] = pinchPointers.values();
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
 
-    if (saveCooldown <= 0) {
-      saveGame();
-      saveCooldown = 0.25;
-    }
+canvas.addEventListener("pointerdown", (e) => {
+  if (e.pointerType !== "touch") return;
+  pinchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (pinchPointers.size === 2) pinchStart = { dist: pinchDistance(), zoom };
+});
+canvas.addEventListener("pointermove", (e) => {
+  if (!pinchPointers.has(e.pointerId)) return;
+  pinchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (pinchStart && pinchPointers.size === 2 && pinchStart.dist > 0) {
+    zoomBy(pinchStart.zoom * pinchDistance() / pinchStart.dist / zoom);
   }
+});
+for (const type of ["pointerup", "pointercancel"]) {
+  canvas.addEventListener(type, (e) => {
+    pinchPointers.delete(e.pointerId);
+    if (pinchPointers.size < 2) pinchStart = null;
+  });
+}
 
-  // Update render position from world position
-  const s = gridToScreen(player.wx, player.wy);
-  player.px = s.x;
-  player.py = s.y;
+// --- Mouse ---
+// Click a tile or POI to fly there on autopilot; right-click cancels.
+// Hovering a visible POI shows what it is and what the trip would cost.
+function tileAt(e) {
+  const rect = canvas.getBoundingClientRect();
+  const g = screenToGrid(e.clientX - rect.left, e.clientY - rect.top);
+  const x = Math.round(g.x);
+  const y = Math.round(g.y);
+  return x >= 0 && y >= 0 && x < GRID_W && y < GRID_H ? { x, y } : null;
+}
+
+function mouseDisabled() {
+  return replay !== null || isPaused();
+}
+
+canvas.addEventListener("click", (e) => {
+  if (mouseDisabled()) return;
+  const tile = tileAt(e);
+  if (tile) game.setWaypoint(tile.x, tile.y);
+});
+
+canvas.addEventListener("contextmenu", (e) => {
+  e.preventDefault();
+  if (!mouseDisabled()) game.clearWaypoint();
+});
+
+function routeText(est) {
+  const text = `${est.distance.toFixed(1)} tiles · ~${est.fuel.toFixed(1)} fuel`;
+  if (est.strands) return `${text} · ⚠️ not enough fuel`;
+  if (est.noReturn) return `${text} · ⚠️ no fuel to return`;
+  return text;
+}
+
+function showTooltip(e) {
+  const tile = mouseDisabled() ? null : tileAt(e);
+  const poi = tile && game.pois.find(p => p.x === tile.x && p.y === tile.y &&
+    (game.poiDef(p.type)?.alwaysVisible || game.isRevealed(p.x, p.y)));
+  if (!poi) {
+    tooltipEl.classList.add("hidden");
+    return;
+  }
 
-  // ✅ camera follow MUST happen after px/py are updated
-  updateCamera(dt);
+  const def = game.poiDef(poi.type);
+  const title = def?.icon ? `${def.icon} ${poi.type}` : poi.type;
+  const status = def ? poiStatusText(poi, def).replace(/^ · /, "") : "";
+  const scan = scanText(poi);
+  tooltipEl.innerHTML =
+    `<div>${escapeHtml(title)}</div>` +
+    (status ? `<div class="dim-text">${escapeHtml(status)}</div>` : "") +
+    (scan ? `<div class="dim-text">${escapeHtml(scan)}</div>` : "") +
+    `<div class="mono">${routeText(game.routeEstimate(poi.x, poi.y))}</div>` +
+    `<div class="hint">Click to set course</div>`;
+  tooltipEl.style.left = `${e.clientX + 14}px`;
+  tooltipEl.style.top = `${e.clientY + 14}px`;
+  tooltipEl.classList.remove("hidden");
 }
 
+canvas.addEventListener("mousemove", showTooltip);
+canvas.addEventListener("mouseleave", () => tooltipEl.classList.add("hidden"));
 
+// --- Camera follow ---
 function updateCamera(dt) {
+  const s = bodyToScreen(player);
   const targetX = VIEW_W / 2;
   const targetY = VIEW_H / 2;
   // Compute the desired camera target (screen-space translation)
-  let tx = (targetX - player.px);
-  let ty = (targetY - player.py);
+  let tx = (targetX - s.x);
+  let ty = (targetY - s.y);
 
   // deadzone (optional): if player is within deadzone of center, don't move that axis
   if (CAMERA_DEADZONE > 0) {
-    const ex = targetX - player.px;
-    const ey = targetY - player.py;
+    const ex = targetX - s.x;
+    const ey = targetY - s.y;
     if (Math.abs(ex) < CAMERA_DEADZONE) tx = camera.x;
     if (Math.abs(ey) < CAMERA_DEADZONE) ty = camera.y;
   }
@@ -458,243 +763,670 @@ function updateCamera(dt) {
   camera.y += (ty - camera.y) * t;
 }
 
-// --- Interactions ---
-function handleInteract() {
-  const poi = getNearestPOI(player.wx, player.wy, 0.70);
-  if (!poi) return;
+// --- Effects ---
+// Cosmetic particles and screen feedback; nothing here touches the game.
+// Particles live in grid coordinates, so render()'s zoom and camera
+// transform places and scales them like everything else on the map.
+const DISPLAY_KEY = "iso_space_display";
+const MAX_PARTICLES = 500;
+const SHIP_LIFT = 6; // px ships and POI dots are drawn above their tile
 
-  // Gate Far Corner until legendary is crafted
-  if (poi.type === "Far Corner" && !ship.hasLegendary) {
-    addLog("🔒 Far Corner is unreachable. Craft the Legendary Module first.");
-    saveGame();
-    return;
+function loadDisplaySettings() {
+  const settings = { reduceMotion: !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches };
+  try {
+    const saved = JSON.parse(localStorage.getItem(DISPLAY_KEY) ?? "{}");
+    if (typeof saved.reduceMotion === "boolean") settings.reduceMotion = saved.reduceMotion;
+  } catch {
+    // unreadable: defaults
   }
+  return settings;
+}
 
-  if (poi.type === "Station") {
-    // Repair
-    if (ship.hull < ship.maxHull && spendScrap(3)) {
-      repair(5);
-      addLog("🛠️ Station: repaired +5 hull for 3 scrap.");
-    } else if (ship.hull < ship.maxHull) {
-      addLog("🛠️ Station: need 3 scrap to repair.");
-    } else {
-      addLog("🛠️ Station: hull already full.");
-    }
+const display = loadDisplaySettings();
 
-    // Refuel
-    if (ship.fuel < ship.maxFuel && spendScrap(2)) {
-      ship.fuel = clamp(ship.fuel + 10, 0, ship.maxFuel);
-      addLog("⛽ Refueled +10 for 2 scrap.");
-    }
+function setReduceMotion(on) {
+  display.reduceMotion = on;
+  localStorage.setItem(DISPLAY_KEY, JSON.stringify(display));
+  if (on) shake = 0;
+}
 
-    // Craft Legendary if complete
-    if (!ship.hasLegendary && fragmentsCount() >= FRAG_TOTAL) {
-      ship.hasLegendary = true;
-      addLog("✨ Crafted LEGENDARY MODULE! Far Corner unlocked.");
-      addLog("Bonus: better loot odds (placeholder).");
-    }
+let particles = []; // { wx, wy, vx, vy (tiles/s), drag, life, ttl (s), size (px), rgb, lift (px) }
+let shake = 0;      // px of screen shake, decaying
+let flash = 0;      // 0–1 red hit flash, decaying
+let shipAngle = -Math.PI / 2; // screen-space heading of the ship sprite
+let exhaustDue = 0; // fraction of an exhaust particle carried to the next frame
+let lastHit = null; // where the ship last took damage, for its explosion
 
-    saveGame();
-    return;
-  }
+function spawnParticle(p) {
+  if (particles.length >= MAX_PARTICLES) return;
+  particles.push({ drag: 2, lift: SHIP_LIFT, ...p, ttl: p.life });
+}
 
-  if (poi.type === "Asteroids") {
-    const gained = ship.hasLegendary ? randInt(2, 4) : randInt(1, 3);
-    ship.scrap += gained;
-    addLog(`⛏️ Asteroids: +${gained} scrap.`);
-    if (chance(0.20)) {
-      damage(1);
-      addLog("⚠️ Took 1 hull damage from debris.");
-    }
-    saveGame();
-    return;
+// `count` particles flung out of (x, y) in every direction
+function burstAt(x, y, { count, speed, life, size, rgb, drag = 3 }) {
+  if (display.reduceMotion) count = Math.ceil(count / 3);
+  for (let i = 0; i < count; i++) {
+    const a = Math.random() * Math.PI * 2;
+    const v = speed * (0.3 + Math.random() * 0.7);
+    spawnParticle({
+      wx: x, wy: y, vx: Math.cos(a) * v, vy: Math.sin(a) * v, drag,
+      life: life * (0.5 + Math.random() * 0.5), size, rgb,
+    });
   }
+}
 
-  if (poi.type === "Derelict") {
-    const fragChance = ship.hasLegendary ? 0.75 : 0.60;
-    if (chance(fragChance)) {
-      const frag = getRandomMissingFragment();
-      if (frag === null) {
-        addLog("📦 Derelict: nothing new—collection complete.");
-      } else {
-        ship.fragments.add(frag);
-        addLog(`📦 Derelict: found Fragment ${frag}/${FRAG_TOTAL}! (${fragmentsCount()}/${FRAG_TOTAL})`);
-      }
-    } else {
-      ship.scrap += 4;
-      damage(2);
-      addLog("💣 Derelict trap! +4 scrap, took 2 hull damage.");
-    }
-    saveGame();
-    return;
-  }
+// "rgba(200,200,120,0.9)" -> "200,200,120"
+function colorRGB(color, fallback = "255,255,255") {
+  return color?.match(/\d+\s*,\s*\d+\s*,\s*\d+/)?.[0] ?? fallback;
+}
 
-  if (poi.type === "Far Corner") {
-    const gained = randInt(4, 7);
-    ship.scrap += gained;
-    addLog(`🧭 Far Corner: +${gained} scrap. Strange signals...`);
+function debrisAt(type) {
+  const def = game.poiDef(type);
+  const poi = game.getNearestPOI(player.wx, player.wy, 0.70);
+  if (!def?.debris || !poi) return;
+  burstAt(poi.x, poi.y, { count: 18, speed: 2.5, life: 0.9, size: 2, rgb: colorRGB(def.color) });
+}
 
-    if (chance(0.50)) {
-      const frag = getRandomMissingFragment();
-      if (frag !== null) {
-        ship.fragments.add(frag);
-        addLog(`🌌 Far Corner: discovered Fragment ${frag}/${FRAG_TOTAL}! (${fragmentsCount()}/${FRAG_TOTAL})`);
-      }
-    }
+function explodeAt(x, y, big = false) {
+  burstAt(x, y, { count: big ? 70 : 30, speed: big ? 5 : 3.5, life: big ? 1.4 : 0.8, size: 3, rgb: "255,200,90" });
+  burstAt(x, y, { count: big ? 30 : 12, speed: big ? 2.5 : 1.5, life: big ? 1.8 : 1, size: 4, rgb: "255,90,50", drag: 1.5 });
+  if (big && !display.reduceMotion) shake = Math.max(shake, 12);
+}
 
-    if (chance(0.35)) {
-      damage(3);
-      addLog("☠️ Hazard surge! Took 3 hull damage.");
-    }
+function hitFeedback(amount) {
+  if (display.reduceMotion) return;
+  flash = Math.min(1, flash + 0.35 + amount * 0.1);
+  shake = Math.max(shake, 3 + amount * 1.5);
+}
 
-    saveGame();
-    return;
-  }
+// Keys, stick or autopilot pushing the ship
+function shipThrusting() {
+  return input.up || input.down || input.left || input.right || !!input.stickX || !!input.stickY || !!game.autopilot;
+}
 
-  // --- Extra generated POIs ---
-  if (poi.type === "Relay") {
-    ship.scrap += 1;
-    addLog("📡 Relay: +1 scrap. Rumor: 'Derelict signals spike near the outer rim.'");
-    saveGame();
-    return;
+// Exhaust streams out behind the ship, against its velocity; boosting
+// makes more of it, hotter and longer-lived
+function emitExhaust(dt) {
+  const speed = Math.hypot(player.vx, player.vy);
+  if (!shipThrusting() || speed < 0.05) return;
+  const rate = (input.boost ? 90 : 40) * (display.reduceMotion ? 0.5 : 1);
+  exhaustDue += rate * dt;
+  const bx = -player.vx / speed;
+  const by = -player.vy / speed;
+  for (; exhaustDue >= 1; exhaustDue--) {
+    const jitter = () => (Math.random() - 0.5) * 0.6;
+    spawnParticle({
+      wx: player.wx + bx * 0.25, wy: player.wy + by * 0.25,
+      vx: player.vx * 0.2 + bx * (2 + Math.random()) + jitter(), vy: player.vy * 0.2 + by * (2 + Math.random()) + jitter(),
+      life: (input.boost ? 0.6 : 0.4) * (0.6 + Math.random() * 0.4),
+      size: input.boost ? 3 : 2, rgb: input.boost ? "255,220,140" : "120,200,255",
+    });
   }
+}
 
-  if (poi.type === "Wreckage") {
-    const gained = randInt(1, 3);
-    ship.scrap += gained;
-    addLog(`🧩 Wreckage: +${gained} scrap.`);
-    if (chance(0.15)) { damage(1); addLog("⚠️ Sharp debris: took 1 hull damage."); }
-    saveGame();
-    return;
+// Particles keep moving while paused (an explosion under the run summary);
+// exhaust only comes out while the ship is actually flying
+function updateEffects(dt, flying) {
+  if (flying) emitExhaust(dt);
+  for (const p of particles) {
+    const drag = Math.exp(-p.drag * dt);
+    p.vx *= drag;
+    p.vy *= drag;
+    p.wx += p.vx * dt;
+    p.wy += p.vy * dt;
+    p.life -= dt;
   }
-
-  if (poi.type === "Gas") {
-    if (chance(0.35)) { damage(2); addLog("☁️ Gas Cloud: corrosive! took 2 hull damage."); }
-    else { ship.scrap += 3; addLog("☁️ Gas Cloud: harvested condensates. +3 scrap."); }
-    saveGame();
-    return;
+  particles = particles.filter(p => p.life > 0);
+
+  shake *= Math.exp(-8 * dt);
+  if (shake < 0.2) shake = 0;
+  flash = Math.max(0, flash - dt * 2.5);
+
+  // the sprite turns toward where the ship is going on screen
+  const sx = (player.vx - player.vy) * TILE_W / 2;
+  const sy = (player.vx + player.vy) * TILE_H / 2;
+  if (Math.hypot(sx, sy) > 2) {
+    let turn = Math.atan2(sy, sx) - shipAngle;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // shortest way round
+    shipAngle += turn * (1 - Math.exp(-12 * dt));
   }
+}
 
-  if (poi.type === "Beacon") {
-    // Find nearest Derelict (use world coords!)
-    let best = null;
-    for (const p of pois) {
-      if (p.type !== "Derelict") continue;
-      const d = Math.hypot(player.wx - p.x, player.wy - p.y);
-      if (!best || d < best.d) best = { d, p };
-    }
-    if (best) addLog(`🛰️ Beacon: nearest Derelict is ~${best.d.toFixed(1)} tiles away.`);
-    else addLog("🛰️ Beacon: no derelict found (weird).");
-    saveGame();
-    return;
+function drawParticles() {
+  for (const p of particles) {
+    const s = gridToScreen(p.wx, p.wy);
+    const fade = p.life / p.ttl;
+    ctx.fillStyle = `rgba(${p.rgb},${(0.9 * fade).toFixed(3)})`;
+    const size = p.size * (0.5 + 0.5 * fade);
+    ctx.fillRect(s.x - size / 2, s.y - p.lift - size / 2, size, size);
   }
+}
+
+// Red edge glow after a hit, in screen space
+function drawFlash() {
+  if (flash <= 0) return;
+  const g = ctx.createRadialGradient(VIEW_W / 2, VIEW_H / 2, Math.min(VIEW_W, VIEW_H) * 0.3, VIEW_W / 2, VIEW_H / 2, Math.max(VIEW_W, VIEW_H) * 0.7);
+  g.addColorStop(0, "rgba(255,40,30,0)");
+  g.addColorStop(1, `rgba(255,40,30,${(0.45 * flash).toFixed(3)})`);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+}
+
+// --- Performance overlay ---
+// Frame rate, how long each frame's work takes and how much the renderer
+// drew, at the top centre. Toggled with ` (or ?perf in the URL).
+const PERF_FRAMES = 60; // frames averaged over
+
+const perf = {
+  shown: false,
+  frames: [], // ms between frames
+  work: [],   // ms spent in tick()
+  drawn: { tiles: 0, chunks: 0, redrawn: 0, pois: 0 }, // this frame
+};
+
+function recordFrame(frameMs, workMs) {
+  perf.frames.push(frameMs);
+  perf.work.push(workMs);
+  if (perf.frames.length > PERF_FRAMES) perf.frames.shift();
+  if (perf.work.length > PERF_FRAMES) perf.work.shift();
+}
 
-  addLog(`Nothing configured for: ${poi.type}`);
-  saveGame();
+function drawPerf() {
+  if (!perf.shown || perf.frames.length === 0) return;
+  const avg = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+  const fps = 1000 / avg(perf.frames);
+  const { tiles, chunks, redrawn, pois } = perf.drawn;
+  const lines = [
+    `${fps.toFixed(0)} fps · frame ${avg(perf.work).toFixed(1)} ms avg, ${Math.max(...perf.work).toFixed(1)} ms max`,
+    `${tiles} tiles in ${chunks} chunks (${redrawn} redrawn) · ${pois}/${game.pois.length} POIs`,
+    `sector ${GRID_W}x${GRID_H} · zoom ${zoom.toFixed(2)}`,
+  ];
+
+  ctx.font = "11px ui-monospace, monospace";
+  const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+  const h = lines.length * 14 + 8;
+  const ox = (VIEW_W - w) / 2; // top centre, clear of the HUD panels
+  const oy = 12;
+  ctx.fillStyle = "rgba(10,12,18,0.75)";
+  ctx.fillRect(ox, oy, w, h);
+  ctx.fillStyle = "rgba(170,255,200,0.9)";
+  lines.forEach((line, i) => ctx.fillText(line, ox + 6, oy + 16 + i * 14));
 }
 
 // --- Rendering ---
-function clear() {
-  ctx.clearRect(0, 0, VIEW_W, VIEW_H);  
+// Only what's on screen is drawn. The grid is cached in chunks on offscreen
+// canvases that are redrawn when their tiles get charted or the zoom
+// changes; the starfield layers are drawn once and tiled.
+
+// Tiles (and a margin for labels and the screen shake) the canvas shows,
+// from its corners; not clamped to the sector
+const VIEW_MARGIN = 160; // px
+
+function visibleTiles() {
+  const corners = [
+    screenToGrid(-VIEW_MARGIN, -VIEW_MARGIN), screenToGrid(VIEW_W + VIEW_MARGIN, -VIEW_MARGIN),
+    screenToGrid(-VIEW_MARGIN, VIEW_H + VIEW_MARGIN), screenToGrid(VIEW_W + VIEW_MARGIN, VIEW_H + VIEW_MARGIN),
+  ];
+  return {
+    minX: Math.floor(Math.min(...corners.map(c => c.x))),
+    minY: Math.floor(Math.min(...corners.map(c => c.y))),
+    maxX: Math.ceil(Math.max(...corners.map(c => c.x))),
+    maxY: Math.ceil(Math.max(...corners.map(c => c.y))),
+  };
+}
+
+let view = visibleTiles(); // updated at the start of render()
+
+function inView(x, y) {
+  return x >= view.minX && x <= view.maxX && y >= view.minY && y <= view.maxY;
+}
+
+function offscreenCanvas(w, h, scale) {
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.ceil(w * scale));
+  c.height = Math.max(1, Math.ceil(h * scale));
+  const g = c.getContext("2d");
+  g.setTransform(scale, 0, 0, scale, 0, 0);
+  return { canvas: c, g };
+}
 
-  // starfield
+// Starfield: far layers drift slower than near ones as the camera moves
+const STAR_TILE = 512; // px square, repeated across the screen
+const STAR_LAYERS = [
+  { parallax: 0.04, count: 90, size: 1,   alpha: 0.10 },
+  { parallax: 0.12, count: 45, size: 1,   alpha: 0.22 },
+  { parallax: 0.25, count: 18, size: 1.5, alpha: 0.40 },
+];
+let starTiles = null; // { scale, layers: [canvas] }
+
+function buildStarTiles(scale) {
+  const layers = STAR_LAYERS.map((layer, i) => {
+    const random = mulberry32({ state: hashSeed(`stars/${i}`) });
+    const { canvas: c, g } = offscreenCanvas(STAR_TILE, STAR_TILE, scale);
+    g.fillStyle = `rgba(255,255,255,${layer.alpha})`;
+    for (let n = 0; n < layer.count; n++) {
+      g.fillRect(Math.floor(random() * STAR_TILE), Math.floor(random() * STAR_TILE), layer.size, layer.size);
+    }
+    return c;
+  });
+  return { scale, layers };
+}
+
+function clear() {
+  ctx.clearRect(0, 0, VIEW_W, VIEW_H);
   ctx.fillStyle = "#05060a";
   ctx.fillRect(0, 0, VIEW_W, VIEW_H);
 
-  ctx.fillStyle = "rgba(255,255,255,0.10)";
-  for (let i = 0; i < 120; i++) {
-    const x = (i * 73) % VIEW_W;
-    const y = (i * 151) % VIEW_H;
-    ctx.fillRect(x, y, 1, 1);
-  }
+  const scale = window.devicePixelRatio || 1;
+  if (starTiles?.scale !== scale) starTiles = buildStarTiles(scale);
+  const wrap = (v) => ((v % STAR_TILE) + STAR_TILE) % STAR_TILE - STAR_TILE;
+  STAR_LAYERS.forEach((layer, i) => {
+    const ox = wrap(camera.x * layer.parallax);
+    const oy = wrap(camera.y * layer.parallax);
+    for (let y = oy; y < VIEW_H; y += STAR_TILE) {
+      for (let x = ox; x < VIEW_W; x += STAR_TILE) ctx.drawImage(starTiles.layers[i], x, y, STAR_TILE, STAR_TILE);
+    }
+  });
 }
 
-function drawGrid() {
-  ctx.lineWidth = 1;
-  ctx.strokeStyle = "rgba(255,255,255,0.10)";
+// Grid chunks: GRID_CHUNK x GRID_CHUNK tiles each, drawn at the screen's
+// resolution for the current zoom. A chunk's canvas is placed relative to
+// the centre of its first tile.
+const GRID_CHUNK = 8;
+const GRID_CACHE_MAX = 160; // chunks kept before off-screen ones are dropped
+const CHUNK_BOX = {
+  x: -GRID_CHUNK * TILE_W / 2 - 1,
+  y: -TILE_H / 2 - 1,
+  w: GRID_CHUNK * TILE_W + 2,
+  h: GRID_CHUNK * TILE_H + 2,
+};
+const gridChunks = new Map(); // "cx,cy" -> { canvas, chart, version, explored, frame }
+let gridScale = 0;
+let frameCount = 0;
+
+function chunkExplored(x0, y0) {
+  let count = 0;
+  for (let y = y0; y < Math.min(y0 + GRID_CHUNK, GRID_H); y++) {
+    for (let x = x0; x < Math.min(x0 + GRID_CHUNK, GRID_W); x++) count += game.isExplored(x, y) ? 1 : 0;
+  }
+  return count;
+}
 
-  for (let y = 0; y < GRID_H; y++) {
-    for (let x = 0; x < GRID_W; x++) {
-      const s = gridToScreen(x, y);
-      drawDiamond(s.x, s.y, TILE_W, TILE_H);
-      ctx.stroke();
+function drawChunk(chunk, x0, y0) {
+  const { canvas: c, g } = offscreenCanvas(CHUNK_BOX.w, CHUNK_BOX.h, gridScale);
+  g.translate(-CHUNK_BOX.x, -CHUNK_BOX.y);
+  g.lineWidth = 1;
+  g.strokeStyle = "rgba(255,255,255,0.10)";
+  for (let y = y0; y < Math.min(y0 + GRID_CHUNK, GRID_H); y++) {
+    for (let x = x0; x < Math.min(x0 + GRID_CHUNK, GRID_W); x++) {
+      const cx = (x - x0 - (y - y0)) * (TILE_W / 2);
+      const cy = (x - x0 + (y - y0)) * (TILE_H / 2);
+      g.beginPath();
+      g.moveTo(cx, cy - TILE_H / 2);
+      g.lineTo(cx + TILE_W / 2, cy);
+      g.lineTo(cx, cy + TILE_H / 2);
+      g.lineTo(cx - TILE_W / 2, cy);
+      g.closePath();
+      // never-charted space is darker
+      if (!game.isExplored(x, y)) {
+        g.fillStyle = "rgba(0,0,0,0.55)";
+        g.fill();
+      }
+      g.stroke();
     }
   }
+  chunk.canvas = c;
+  perf.drawn.redrawn++;
 }
 
-function drawPOIs() {
-  for (const p of pois) {
-    // fog of war (Station always visible)
-    if (p.type !== "Station") {
-      const d = Math.hypot(player.wx - p.x, player.wy - p.y);
-      if (d > VIS_RADIUS) continue;
-    }
+function drawGrid() {
+  const scale = (window.devicePixelRatio || 1) * zoom;
+  if (scale !== gridScale) {
+    gridChunks.clear(); // all stale
+    gridScale = scale;
+  }
+  frameCount++;
+
+  const x0 = Math.max(0, view.minX), x1 = Math.min(GRID_W - 1, view.maxX);
+  const y0 = Math.max(0, view.minY), y1 = Math.min(GRID_H - 1, view.maxY);
+  Object.assign(perf.drawn, { tiles: 0, chunks: 0, redrawn: 0 });
+  if (x0 > x1 || y0 > y1) return;
+
+  for (let cy = Math.floor(y0 / GRID_CHUNK); cy <= Math.floor(y1 / GRID_CHUNK); cy++) {
+    for (let cx = Math.floor(x0 / GRID_CHUNK); cx <= Math.floor(x1 / GRID_CHUNK); cx++) {
+      const tx = cx * GRID_CHUNK, ty = cy * GRID_CHUNK;
+      const key = keyXY(cx, cy);
+      let chunk = gridChunks.get(key);
+      if (!chunk || chunk.chart !== game.chart) {
+        chunk = { chart: game.chart, version: game.chartVersion, explored: chunkExplored(tx, ty) };
+        drawChunk(chunk, tx, ty);
+        gridChunks.set(key, chunk);
+      } else if (chunk.version !== game.chartVersion) {
+        // something got charted somewhere; redraw only if it was here
+        chunk.version = game.chartVersion;
+        const explored = chunkExplored(tx, ty);
+        if (explored !== chunk.explored) {
+          chunk.explored = explored;
+          drawChunk(chunk, tx, ty);
+        }
+      }
+      chunk.frame = frameCount;
 
-    const s = gridToScreen(p.x, p.y);
+      const s = gridToScreen(tx, ty);
+      ctx.drawImage(chunk.canvas, s.x + CHUNK_BOX.x, s.y + CHUNK_BOX.y, CHUNK_BOX.w, CHUNK_BOX.h);
+      perf.drawn.chunks++;
+      perf.drawn.tiles += (Math.min(tx + GRID_CHUNK, GRID_W) - tx) * (Math.min(ty + GRID_CHUNK, GRID_H) - ty);
+    }
+  }
 
-    // color by type
-    ctx.fillStyle = "rgba(120,200,255,0.9)";
-    if (p.type === "Asteroids") ctx.fillStyle = "rgba(200,200,120,0.9)";
-    if (p.type === "Derelict") ctx.fillStyle = "rgba(200,120,200,0.9)";
-    if (p.type === "Far Corner") ctx.fillStyle = "rgba(255,120,120,0.95)";
-    if (p.type === "Relay") ctx.fillStyle = "rgba(120,255,180,0.9)";
-    if (p.type === "Wreckage") ctx.fillStyle = "rgba(180,180,180,0.9)";
-    if (p.type === "Gas") ctx.fillStyle = "rgba(120,180,255,0.9)";
-    if (p.type === "Beacon") ctx.fillStyle = "rgba(255,220,120,0.9)";
+  if (gridChunks.size > GRID_CACHE_MAX) {
+    for (const [key, chunk] of gridChunks) {
+      if (chunk.frame !== frameCount) gridChunks.delete(key);
+    }
+  }
+}
 
+// Last known positions of POIs out of sensor range, from the chart
+function drawRememberedPOIs() {
+  for (const [key, type] of Object.entries(game.chart.seen)) {
+    const { x, y } = parseKeyXY(key);
+    if (!inView(x, y)) continue;
+    const def = game.poiDef(type);
+    if (def?.alwaysVisible || game.isRevealed(x, y)) continue; // drawn live
+
+    const s = gridToScreen(x, y);
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = def?.color ?? DEFAULT_POI_COLOR;
+    ctx.lineWidth = 1.5;
     ctx.beginPath();
     ctx.arc(s.x, s.y - 6, 5, 0, Math.PI * 2);
-    ctx.fill();
+    ctx.stroke();
 
-    // label
-    ctx.fillStyle = "rgba(255,255,255,0.65)";
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
     ctx.font = "12px system-ui";
-    ctx.fillText(p.type, s.x + 8, s.y - 6);
+    ctx.fillText(`${def?.icon ? `${def.icon} ` : ""}${type} (last seen)`, s.x + 8, s.y - 6);
+    ctx.globalAlpha = 1;
   }
 }
 
-function drawPlayer() {
-  const sx = player.px;
-  const sy = player.py;
+function drawPOIs() {
+  const shown = game.poisInArea(view.minX, view.minY, view.maxX, view.maxY);
+  perf.drawn.pois = shown.length;
+  for (const p of shown) {
+    const def = game.poiDef(p.type);
 
-  ctx.fillStyle = "rgba(255,255,255,0.95)";
-  ctx.beginPath();
-  ctx.moveTo(sx, sy - 14);
-  ctx.lineTo(sx + 7, sy - 2);
-  ctx.lineTo(sx, sy + 2);
-  ctx.lineTo(sx - 7, sy - 2);
-  ctx.closePath();
-  ctx.fill();
-}
+    // fog of war (some types, like the Station, are always visible); a
+    // ping shows what's in its radius for a while
+    if (!def?.alwaysVisible && !game.isRevealed(p.x, p.y)) continue;
 
-function updateUI() {
-  const poi = getNearestPOI(player.wx, player.wy, 0.70);
+    const s = gridToScreen(p.x, p.y);
+    const depleted = p.pool !== undefined && game.poiCharges(p) < 1;
+
+    if (depleted) {
+      // hollow, greyed-out marker
+      ctx.strokeStyle = "rgba(160,160,160,0.55)";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(s.x, s.y - 6, 5, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      ctx.globalAlpha = game.poiCooldownLeft(p) > 0 ? 0.5 : 1;
+      ctx.fillStyle = def?.color ?? DEFAULT_POI_COLOR;
+      ctx.beginPath();
+      ctx.arc(s.x, s.y - 6, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+
+    // remaining charges as a thin bar under the dot
+    if (p.pool !== undefined && def?.pool) {
+      ctx.fillStyle = "rgba(255,255,255,0.12)";
+      ctx.fillRect(s.x - 6, s.y + 1, 12, 2);
+      ctx.fillStyle = def.color ?? DEFAULT_POI_COLOR;
+      ctx.fillRect(s.x - 6, s.y + 1, 12 * clamp(p.pool / def.pool, 0, 1), 2);
+    }
+
+    // label
+    const label = def?.icon ? `${def.icon} ${p.type}` : p.type;
+    ctx.fillStyle = depleted ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.65)";
+    ctx.font = "12px system-ui";
+    ctx.fillText(depleted ? `${label} (depleted)` : label, s.x + 8, s.y - 6);
+  }
+}
+
+function drawEnemies() {
+  for (const e of game.enemies) {
+    if (!inView(e.wx, e.wy) || !game.isVisible(e.wx, e.wy)) continue;
+    const t = ENEMY_TYPES[e.type];
+    const s = bodyToScreen(e);
+
+    ctx.fillStyle = t.color;
+    ctx.beginPath();
+    ctx.moveTo(s.x, s.y + 4);
+    ctx.lineTo(s.x + 7, s.y - 8);
+    ctx.lineTo(s.x - 7, s.y - 8);
+    ctx.closePath();
+    ctx.fill();
+
+    // hull bar
+    const w = 16;
+    ctx.fillStyle = "rgba(255,255,255,0.15)";
+    ctx.fillRect(s.x - w / 2, s.y - 14, w, 2);
+    ctx.fillStyle = t.color;
+    ctx.fillRect(s.x - w / 2, s.y - 14, w * (e.hull / t.hull), 2);
+
+    ctx.fillStyle = "rgba(255,255,255,0.65)";
+    ctx.font = "12px system-ui";
+    ctx.fillText(e.state === "chase" ? `${e.type}!` : e.type, s.x + 9, s.y - 4);
+  }
+}
+
+function drawProjectiles() {
+  for (const p of game.projectiles) {
+    if (!inView(p.wx, p.wy) || !game.isVisible(p.wx, p.wy)) continue;
+    const s = bodyToScreen(p);
+    ctx.fillStyle = p.owner === "player" ? "rgba(140,255,220,0.95)" : "rgba(255,120,90,0.95)";
+    ctx.beginPath();
+    ctx.arc(s.x, s.y - 6, 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// The last ping: a ring racing out to its radius, then a faint edge while
+// the POIs inside stay revealed. A circle on the grid is an ellipse on screen.
+function drawPing() {
+  const ping = game.scanner.ping;
+  if (!ping) return;
+  const age = game.worldTime - ping.at;
+  if (age >= PING_REVEAL) return;
+
+  const s = gridToScreen(ping.x, ping.y);
+  const r = Math.min(ping.radius, age * PING_SPEED);
+  const expanding = r < ping.radius;
+  ctx.strokeStyle = expanding ? "rgba(120,255,200,0.8)" : `rgba(120,255,200,${0.25 * (1 - age / PING_REVEAL)})`;
+  ctx.lineWidth = expanding ? 2 : 1;
+  ctx.beginPath();
+  ctx.ellipse(s.x, s.y, r * TILE_W / Math.SQRT2, r * TILE_H / Math.SQRT2, 0, 0, Math.PI * 2);
+  ctx.stroke();
+  if (expanding) {
+    ctx.fillStyle = "rgba(120,255,200,0.06)";
+    ctx.fill();
+  }
+}
+
+// Dashed line from the ship to the autopilot's waypoint, with the trip left
+function drawRoute() {
+  const wp = game.autopilot;
+  if (!wp) return;
+  const est = game.routeEstimate(wp.x, wp.y);
+  const color = est.strands ? "rgba(255,120,90,0.9)" : "rgba(120,200,255,0.8)";
+  const from = bodyToScreen(player);
+  const to = gridToScreen(wp.x, wp.y);
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  drawDiamond(to.x, to.y, TILE_W, TILE_H);
+  ctx.stroke();
+
+  ctx.fillStyle = color;
+  ctx.font = "11px system-ui";
+  ctx.fillText(routeText(est), to.x + 8, to.y + 14);
+}
+
+// --- Minimap ---
+// Top-down chart of the live sector in the bottom-left corner: explored
+// tiles, remembered POIs, the Station and the player. The explored tiles
+// are cached and only redrawn when the chart changes.
+const MINIMAP_TILE = 5;  // pixels per tile
+const MINIMAP_MAX = 160; // pixels; big sectors get smaller tiles
+const MINIMAP_MARGIN = 12;
+let minimapCache = null; // { canvas, chart, version, scale }
+
+function minimapTile() {
+  return Math.min(MINIMAP_TILE, MINIMAP_MAX / Math.max(GRID_W, GRID_H));
+}
+
+function cachedMinimap(w, h, tile) {
+  const scale = window.devicePixelRatio || 1;
+  const c = minimapCache;
+  if (c && c.chart === game.chart && c.version === game.chartVersion && c.scale === scale) return c.canvas;
+
+  const { canvas, g } = offscreenCanvas(w + 8, h + 8, scale);
+  g.fillStyle = "rgba(10,12,18,0.75)";
+  g.fillRect(0, 0, w + 8, h + 8);
+  g.strokeStyle = "rgba(255,255,255,0.15)";
+  g.lineWidth = 1;
+  g.strokeRect(0.5, 0.5, w + 7, h + 7);
+  g.fillStyle = "rgba(120,160,220,0.22)";
+  for (let y = 0; y < GRID_H; y++) {
+    for (let x = 0; x < GRID_W; x++) {
+      if (game.isExplored(x, y)) g.fillRect(4 + x * tile, 4 + y * tile, tile, tile);
+    }
+  }
+  minimapCache = { canvas, chart: game.chart, version: game.chartVersion, scale };
+  return canvas;
+}
+
+function drawMinimap() {
+  const tile = minimapTile();
+  const w = GRID_W * tile;
+  const h = GRID_H * tile;
+  const ox = MINIMAP_MARGIN;
+  const oy = VIEW_H - h - MINIMAP_MARGIN;
+
+  ctx.drawImage(cachedMinimap(w, h, tile), ox - 4, oy - 4, w + 8, h + 8);
+
+  const dot = (x, y, color, size) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(ox + (x + 0.5) * tile - size / 2, oy + (y + 0.5) * tile - size / 2, size, size);
+  };
+
+  for (const [key, type] of Object.entries(game.chart.seen)) {
+    const { x, y } = parseKeyXY(key);
+    dot(x, y, game.poiDef(type)?.color ?? DEFAULT_POI_COLOR, 3);
+  }
+  // the Station (and gates) are always on the chart
+  for (const p of game.pois) {
+    const def = game.poiDef(p.type);
+    if (def?.alwaysVisible) dot(p.x, p.y, def.color ?? DEFAULT_POI_COLOR, def.service === "station" ? 5 : 3);
+  }
+  for (const c of game.contracts.active) {
+    if (c.x !== undefined && c.sector === galaxy.current) dot(c.x, c.y, "rgba(255,210,90,0.95)", 4);
+  }
+  if (game.autopilot) dot(game.autopilot.x, game.autopilot.y, "rgba(120,200,255,0.9)", 3);
+  dot(player.wx, player.wy, "rgba(255,255,255,0.95)", 4);
+
+  ctx.fillStyle = "rgba(255,255,255,0.65)";
+  ctx.font = "11px system-ui";
+  ctx.fillText(`${game.explorationPercent()}% explored`, ox, oy - 8);
+}
+
+// Arrowhead hull with a cockpit, nose along its heading; it blushes red
+// while the hit flash lasts
+function drawPlayer() {
+  const s = bodyToScreen(player);
+
+  ctx.save();
+  ctx.translate(s.x, s.y - SHIP_LIFT);
+  ctx.rotate(shipAngle);
+  ctx.fillStyle = flash > 0 ? `rgb(255,${Math.round(255 - 150 * flash)},${Math.round(255 - 170 * flash)})` : "rgba(255,255,255,0.95)";
+  ctx.beginPath();
+  ctx.moveTo(10, 0);
+  ctx.lineTo(-7, -7);
+  ctx.lineTo(-4, 0);
+  ctx.lineTo(-7, 7);
+  ctx.closePath();
+  ctx.fill();
+  ctx.fillStyle = "rgba(120,200,255,0.9)";
+  ctx.beginPath();
+  ctx.arc(2, 0, 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+// Active contracts with their countdowns; only touches the DOM on change
+function updateMissions() {
+  const lines = game.contracts.active.map(c => {
+    const left = game.contractTimeLeft(c);
+    return `• ${contractText(c)}\n  ${c.reward} scrap${left < Infinity ? ` · ${Math.ceil(left)}s left` : ""}`;
+  });
+  const text = lines.join("\n") || "No contracts. Try a Relay or the Station board (J).";
+  if (missionsEl.textContent !== text) missionsEl.textContent = text;
+}
+
+function updateUI() {
+  const poi = game.getNearestPOI(player.wx, player.wy, 0.70);
 
   statusEl.textContent =
-    `Pos: (${player.wx.toFixed(2)}, ${player.wy.toFixed(2)})  |  Hull: ${ship.hull}/${ship.maxHull}  |  Fuel: ${ship.fuel.toFixed(1)}/${ship.maxFuel}  |  Scrap: ${ship.scrap}  |  Fragments: ${fragmentsCount()}/${FRAG_TOTAL}  |  Legendary: ${ship.hasLegendary ? "YES" : "no"}`;
+    `Pos: (${player.wx.toFixed(2)}, ${player.wy.toFixed(2)})  |  Hull: ${ship.hull}/${ship.maxHull}  |  Fuel: ${ship.fuel.toFixed(1)}/${ship.maxFuel}  |  Scrap: ${ship.scrap}  |  Fragments: ${game.fragmentsCount()}/${FRAG_TOTAL}  |  Legendary: ${ship.hasLegendary ? "YES" : "no"}`;
+  const cargo = Object.keys(RESOURCES).map(id => `${RESOURCES[id].short} ${ship.cargo[id]}`).join(" · ");
+  const items = Object.entries(ITEMS).map(([id, it]) => `${it.name}s ${ship.items[id]} (${it.key.toUpperCase()})`).join(" · ");
+  const fitted = Object.values(ship.loadout).filter(Boolean).map(id => MODULES[id].name).join(", ") || "none";
+  const spares = ship.spares.length ? ` (+${ship.spares.length} spare)` : "";
+  const wait = game.scannerCooldownLeft();
+  const boosted = game.worldTime < game.scanner.boostUntil ? `, boosted ${Math.ceil(game.scanner.boostUntil - game.worldTime)}s` : "";
+  const scanner = `Scanner ${wait > 0 ? `${Math.ceil(wait)}s` : "ready (Q)"}, ${game.pingRadius()} tiles${boosted}`;
+  cargoEl.textContent = `Cargo ${game.cargoUsed()}/${game.cargoCapacity()}: ${cargo}  |  ${items}  |  Modules: ${fitted}${spares} (I)  |  ${scanner}`;
+  updateMissions();
+  updatePluginPanels();
+  seedEl.textContent = `Sector: ${sectorLabel(galaxy.current)} depth ${sectorDepth(galaxy.current)}, ${game.explorationPercent()}% explored  |  Seed: ${game.runSeed}  |  ${difficultyLabel(game.difficulty)}  |  Credits: ${meta.credits} (+${game.runCredits()} this run)`;
 
   if (!poi) {
     hintEl.textContent = "";
     return;
   }
 
-  if (poi.type === "Far Corner" && !ship.hasLegendary) {
-    hintEl.textContent = "Far Corner — locked (craft legendary)";
-  } else if (poi.type === "Station") {
-    const canRepair = ship.hull < ship.maxHull && ship.scrap >= 3;
-    const canCraft = !ship.hasLegendary && fragmentsCount() >= FRAG_TOTAL;
-    hintEl.textContent = `Station — press E (${canRepair ? "Repair" : "Repair: 3 scrap"}${canCraft ? ", Craft Legendary" : ""})`;
+  const def = game.poiDef(poi.type);
+  const service = def?.service ? game.services[def.service] : null;
+
+  if (def?.requiresLegendary && !ship.hasLegendary) {
+    hintEl.textContent = def.lockedHint ?? `${poi.type} — locked (craft legendary)`;
+  } else if (service?.hint) {
+    hintEl.textContent = service.hint(def, poi) + poiStatusText(poi, def);
+  } else if (def) {
+    const scan = scanText(poi);
+    hintEl.textContent = (def.hint ?? `${poi.type} — press E`) + poiStatusText(poi, def) + (scan ? `  ${scan}` : "");
   } else {
     hintEl.textContent = `${poi.type} — press E`;
   }
 }
 
 function render() {
+  view = visibleTiles();
   clear();
 
   ctx.save();
 
-  // 1) Apply camera translation (screen space)
+  // 0) Screen shake (screen space, so zoom doesn't magnify it)
+  if (shake > 0) ctx.translate((Math.random() * 2 - 1) * shake, (Math.random() * 2 - 1) * shake);
+
   // 1) Zoom around screen center (screen space)
   const pivotX = VIEW_W / 2;
   const pivotY = VIEW_H / 2;
@@ -706,48 +1438,1058 @@ function render() {
   ctx.translate(camera.x, camera.y);
 
   drawGrid();
+  drawRememberedPOIs();
   drawPOIs();
+  drawEnemies();
+  drawProjectiles();
+  drawRoute();
+  drawPing();
+  drawParticles();
   drawPlayer();
 
   ctx.restore();
 
+  drawFlash();
+  drawMinimap(); // screen space, unaffected by camera and zoom
+  drawPerf();
   updateUI();
 }
 
-// --- New Game ---
-function newGame() {
-  ship.hull = ship.maxHull;
-  ship.scrap = 0;
-  ship.fuel = ship.maxFuel;
-  ship.hasLegendary = false;
-  ship.fragments = new Set();
+// --- Overlays ---
+// Centered screens (upgrades, saves, ...). Only one is open at a time and
+// flight is paused while it is. Every button in an overlay can be
+// reached with the arrow keys (or W/S) and pressed with Enter/E; a screen
+// opened from another one (`returnTo`) goes back to it when closed.
+const overlays = {}; // name -> { el, render, onKey }
+let activeOverlay = null;
+let overlayReturn = null;
+let overlaySelection = 0;
+
+function openOverlay(name, returnTo = null) {
+  if (activeOverlay) hideOverlay();
+  activeOverlay = name;
+  overlayReturn = returnTo;
+  overlaySelection = 0;
+  releaseHeld();
+  applyInputMask(input, 0);
+  refreshOverlay();
+  overlays[name].el.classList.remove("hidden");
+}
 
-  player.wx = 12;
-  player.wy = 12;
-  player.vx = 0;
-  player.vy = 0;
+function hideOverlay() {
+  overlays[activeOverlay].el.classList.add("hidden");
+  activeOverlay = null;
+}
 
-  const s = gridToScreen(player.wx, player.wy);
-  player.px = s.x;
-  player.py = s.y;
+function closeOverlay() {
+  if (!activeOverlay || overlays[activeOverlay].modal) return;
+  const back = overlayReturn;
+  hideOverlay();
+  if (back) openOverlay(back);
+}
+
+function overlayButtons() {
+  // Disabled buttons stay in the list so the selection doesn't jump when an
+  // entry becomes unavailable; clicking them does nothing
+  return Array.from(overlays[activeOverlay].el.querySelectorAll("button"));
+}
+
+// Re-render the open overlay and keep the keyboard selection on it
+function refreshOverlay() {
+  if (!activeOverlay) return;
+  overlays[activeOverlay].render();
+  const buttons = overlayButtons();
+  overlaySelection = clamp(overlaySelection, 0, Math.max(0, buttons.length - 1));
+  buttons[overlaySelection]?.classList.add("selected");
+  buttons[overlaySelection]?.scrollIntoView?.({ block: "nearest" });
+}
+
+function moveOverlaySelection(step) {
+  const buttons = overlayButtons();
+  if (buttons.length === 0) return;
+  overlaySelection = (overlaySelection + step + buttons.length) % buttons.length;
+  refreshOverlay();
+}
+
+function isPaused() {
+  return activeOverlay !== null;
+}
+
+// Capture phase so an open overlay (or a playing replay) swallows keys
+// before flight controls see them
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e)) return;
+  const key = e.key.toLowerCase();
+  const action = keyActions[key];
+
+  // the controls screen is waiting for a new key
+  if (rebinding) {
+    if (key !== "escape") bindKey(rebinding, key);
+    rebinding = null;
+    refreshOverlay();
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+
+  if (replay) {
+    if (ZOOM_ACTIONS.includes(action)) PRESS_ACTIONS[action]();
+    else onReplayKey(key, action);
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+
+  if (activeOverlay) {
+    if (key === "escape") closeOverlay();
+    else if (key === "arrowup" || action === "up") moveOverlaySelection(-1);
+    else if (key === "arrowdown" || action === "down") moveOverlaySelection(1);
+    else if (key === "enter" || key === " " || action === "interact") {
+      // a held key (e.g. the E that opened the menu) must not buy things
+      if (!e.repeat) overlayButtons()[overlaySelection]?.click();
+    }
+    else overlays[activeOverlay].onKey(key, action);
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+
+  if (!action) return;
+  if (HELD_ACTIONS.includes(action)) held.keys[action] = true;
+  else if (!e.repeat || ZOOM_ACTIONS.includes(action)) PRESS_ACTIONS[action]();
+}, true);
+
+// --- Upgrades screen ---
+// Reachable at the Station (U) and shown automatically between runs.
+function openUpgrades() {
+  openOverlay("upgrades");
+}
+
+function renderUpgrades() {
+  const rows = META_UPGRADES.map((u, i) => {
+    const lvl = game.metaLevel(u.id);
+    let state;
+    if (!game.upgradeUnlocked(u)) {
+      const req = META_UPGRADES.find(x => x.id === u.requires.id);
+      state = `🔒 needs ${req.name} ${u.requires.level}`;
+    } else if (lvl >= u.maxLevel) {
+      state = "MAX";
+    } else {
+      state = `${game.upgradeCost(u)} cr`;
+    }
+    const affordable = game.upgradeUnlocked(u) && lvl < u.maxLevel && meta.credits >= game.upgradeCost(u);
+    return `<button class="upgrade-row${affordable ? "" : " dim"}" data-id="${u.id}">` +
+      `<span>${i + 1}. ${u.name}</span><span>Lv ${lvl}/${u.maxLevel}</span><span>${state}</span></button>`;
+  });
+
+  upgradesEl.innerHTML =
+    `<div class="title">UPGRADES</div>` +
+    `<div class="mono">Credits: ${meta.credits}  |  This run so far: ${game.runCredits()}</div>` +
+    `<div class="upgrade-list">${rows.join("")}</div>` +
+    `<div class="hint">1–${META_UPGRADES.length} or click to buy · U / Esc to close</div>`;
+}
+
+overlays.upgrades = {
+  el: upgradesEl,
+  render: renderUpgrades,
+  onKey(key, action) {
+    if (action === "upgrades") { closeOverlay(); return; }
+    const n = parseInt(key, 10);
+    if (n >= 1 && n <= META_UPGRADES.length) {
+      game.buyUpgrade(META_UPGRADES[n - 1].id);
+      refreshOverlay();
+    }
+  },
+};
+
+upgradesEl.addEventListener("click", (e) => {
+  const row = e.target.closest("[data-id]");
+  if (!row) return;
+  game.buyUpgrade(row.dataset.id);
+  refreshOverlay();
+});
+
+// --- Station menu ---
+// Opened with E at the Station. Nothing is bought until the player picks it.
+// The services come from the core (run through runStationService so they're
+// recorded and saved); the menu adds its own navigation.
+function stationEntries() {
+  return [
+    ...game.stationEntries(),
+    { label: "Contracts…", cost: `${game.contracts.offers.length} posted`, blocked: null, run: () => openOverlay("contracts", "station") },
+    { label: "Crafting…", cost: "", blocked: null, run: () => openOverlay("crafting", "station") },
+    { label: "Upgrades…", cost: `${meta.credits} credits`, blocked: null, run: () => openOverlay("upgrades", "station") },
+    { label: "Undock", cost: "", blocked: null, run: () => closeOverlay() },
+  ];
+}
+
+function renderStation() {
+  const rows = stationEntries().map((entry, i) =>
+    `<button class="upgrade-row" data-index="${i}"${entry.blocked ? " disabled" : ""}>` +
+    `<span>${entry.label}</span><span></span><span>${entry.blocked ?? entry.cost}</span></button>`);
+
+  stationEl.innerHTML =
+    `<div class="title">STATION SERVICES</div>` +
+    `<div class="mono">Hull ${ship.hull}/${ship.maxHull}  |  Fuel ${ship.fuel.toFixed(1)}/${ship.maxFuel}  |  Scrap ${ship.scrap}  |  Cargo ${game.cargoUsed()}/${game.cargoCapacity()}</div>` +
+    `<div class="upgrade-list">${rows.join("")}</div>` +
+    `<div class="hint">↑/↓ + Enter or click · Esc to undock</div>`;
+}
+
+function runStationEntry(index) {
+  const entry = stationEntries()[index];
+  if (!entry || entry.blocked) return;
+  if (entry.id) game.runStationService(entry.id);
+  else entry.run();
+  if (activeOverlay === "station") refreshOverlay();
+}
+
+overlays.station = {
+  el: stationEl,
+  render: renderStation,
+  onKey() {},
+};
+
+stationEl.addEventListener("click", (e) => {
+  const row = e.target.closest("[data-index]");
+  if (!row) return;
+  runStationEntry(Number(row.dataset.index));
+});
+
+// --- Crafting screen ---
+function renderCrafting() {
+  const rows = RECIPES.map((r, i) => {
+    const blocker = game.recipeBlocker(r);
+    const what = r.gives.module ? MODULES[r.gives.module].desc
+      : r.gives.item ? `consumable (${ship.items[r.gives.item]} carried)`
+      : "unlocks the Far Corner";
+    const cost = r.requires?.fragments ? `${r.requires.fragments} fragments` : formatCost(r.cost);
+    return `<button class="upgrade-row${blocker ? " dim" : ""}" data-id="${r.id}">` +
+      `<span>${i + 1}. ${r.name}<br><span class="dim-text">${what}</span></span>` +
+      `<span>${blocker ?? "ready"}</span><span>${cost}</span></button>`;
+  });
+
+  const cargo = Object.keys(RESOURCES).map(id => `${ship.cargo[id]} ${RESOURCES[id].short}`).join(" · ");
+  craftingEl.innerHTML =
+    `<div class="title">STATION CRAFTING</div>` +
+    `<div class="mono">Scrap: ${ship.scrap}  |  Cargo: ${cargo}  |  Fragments: ${game.fragmentsCount()}/${FRAG_TOTAL}</div>` +
+    `<div class="upgrade-list">${rows.join("")}</div>` +
+    `<div class="hint">1–${RECIPES.length} or click to craft · C / Esc to close</div>`;
+}
+
+overlays.crafting = {
+  el: craftingEl,
+  render: renderCrafting,
+  onKey(key, action) {
+    if (action === "craft") { closeOverlay(); return; }
+    const n = parseInt(key, 10);
+    if (n >= 1 && n <= RECIPES.length) {
+      game.craft(RECIPES[n - 1].id);
+      refreshOverlay();
+    }
+  },
+};
+
+craftingEl.addEventListener("click", (e) => {
+  const row = e.target.closest("[data-id]");
+  if (!row) return;
+  game.craft(row.dataset.id);
+  refreshOverlay();
+});
+
+// --- Loadout screen ---
+// Fitted modules per slot, the spares, and the stats they add up to.
+// Swapping works anywhere; flight is paused while the screen is open.
+function renderLoadout() {
+  const stats = game.shipStats();
+  const slots = Object.entries(SLOTS).map(([slot, s]) => {
+    const id = ship.loadout[slot];
+    const m = id ? MODULES[id] : null;
+    return `<button class="upgrade-row${m ? "" : " dim"}" data-action="unequip" data-slot="${slot}"${m ? "" : " disabled"}>` +
+      `<span>${s.name}<br><span class="dim-text">${m ? m.desc : "empty"}</span></span>` +
+      `<span>${m ? m.name : "—"}${m?.durable ? " 🛡️" : ""}</span><span>${m ? "Remove" : ""}</span></button>`;
+  });
+  const spares = ship.spares.map((id, i) => {
+    const m = MODULES[id];
+    const current = ship.loadout[m.slot];
+    return `<div class="slot-row"><div><div>${m.name}${m.durable ? " 🛡️" : ""}</div>` +
+      `<div class="mono dim-text">${SLOTS[m.slot].name} · ${m.desc}${current ? ` · replaces ${MODULES[current].name}` : ""}</div></div>` +
+      `<div class="slot-actions"><button data-action="equip" data-index="${i}">Fit</button>` +
+      `<button data-action="jettison" data-index="${i}">Jettison</button></div></div>`;
+  });
+
+  loadoutEl.innerHTML =
+    `<div class="title">LOADOUT</div>` +
+    `<div class="upgrade-list">${slots.join("")}</div>` +
+    `<div class="mono">Spares ${ship.spares.length}/${MAX_SPARES}</div>` +
+    `<div class="slot-list">${spares.join("") || `<div class="dim-text">No spare modules. Find them in Wreckage and Derelicts, or craft them (C).</div>`}</div>` +
+    `<div class="mono dim-text">Hull ${stats.maxHull} · Fuel ${stats.maxFuel} · Cargo ${stats.cargo} · Top speed ${stats.maxSpeed.toFixed(1)} · ` +
+    `Burn ${stats.fuelPerTile.toFixed(2)}/tile · Sensors ${stats.vision} · Armor ${Math.round(stats.armor * 100)}%</div>` +
+    `<div class="hint">🛡️ durable: survives losing the ship · I / Esc to close</div>`;
+}
+
+overlays.loadout = {
+  el: loadoutEl,
+  render: renderLoadout,
+  onKey(key, action) {
+    if (action === "loadout") closeOverlay();
+  },
+};
+
+loadoutEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const action = btn.dataset.action;
+  const spare = ship.spares[Number(btn.dataset.index)];
+  if (action === "unequip") game.unequipSlot(btn.dataset.slot);
+  if (action === "equip") game.equipModule(spare);
+  if (action === "jettison" && window.confirm(`Jettison ${MODULES[spare].name}?`)) game.jettisonModule(spare);
+  refreshOverlay();
+});
+
+// --- Encounter card ---
+// Opened by the core when an encounter starts. It can't be dismissed: one
+// of the choices has to be taken (every encounter has a way out).
+function renderEncounter() {
+  const card = game.encounter;
+  if (!card) return;
+  const rows = card.choices.map((c, i) =>
+    `<button class="upgrade-row" data-index="${i}"${c.blocked ? " disabled" : ""}>` +
+    `<span>${i + 1}. ${escapeHtml(c.label)}</span><span></span>` +
+    `<span>${escapeHtml(c.blocked ?? (c.cost ? formatCost(c.cost) : ""))}</span></button>`);
+
+  encounterEl.innerHTML =
+    `<div class="title">${escapeHtml(card.title)}</div>` +
+    `<div class="encounter-text">${escapeHtml(card.text)}</div>` +
+    `<div class="upgrade-list">${rows.join("")}</div>` +
+    `<div class="hint">1–${card.choices.length} or click to choose</div>`;
+}
+
+function chooseEncounter(index) {
+  if (!game.chooseEncounter(index)) return;
+  // an outcome can destroy the ship, which opens the upgrades screen instead
+  if (activeOverlay === "encounter") hideOverlay();
+}
+
+overlays.encounter = {
+  el: encounterEl,
+  render: renderEncounter,
+  modal: true,
+  onKey(key) {
+    const n = parseInt(key, 10);
+    if (n >= 1 && n <= (game.encounter?.choices.length ?? 0)) chooseEncounter(n - 1);
+  },
+};
+
+encounterEl.addEventListener("click", (e) => {
+  const row = e.target.closest("[data-index]");
+  if (row) chooseEncounter(Number(row.dataset.index));
+});
+
+// --- Contracts screen ---
+// The jobs you've taken (J anywhere) and, docked at the Station, the board
+// of new ones.
+function renderContracts() {
+  const docked = game.poiDef(game.getNearestPOI(player.wx, player.wy, 0.70)?.type)?.service === "station";
+  const row = (c, action, label, disabled = false) =>
+    `<div class="slot-row"><div><div>${CONTRACT_KINDS[c.kind].name}: ${escapeHtml(game.describeContract(c))}</div></div>` +
+    `<div class="slot-actions"><button data-action="${action}" data-id="${c.id}"${disabled ? " disabled" : ""}>${label}</button></div></div>`;
+  const active = game.contracts.active.map(c => row(c, "abandon", "Abandon"));
+  const full = game.contracts.active.length >= MAX_CONTRACTS;
+  const offers = game.contracts.offers.map(c => row(c, "accept", "Accept", full));
+
+  contractsEl.innerHTML =
+    `<div class="title">CONTRACTS</div>` +
+    `<div class="mono">Active ${game.contracts.active.length}/${MAX_CONTRACTS}  |  Completed this run: ${game.contracts.completed}</div>` +
+    `<div class="slot-list">${active.join("") || `<div class="dim-text">No active contracts.</div>`}</div>` +
+    `<div class="title">STATION BOARD</div>` +
+    (docked
+      ? `<div class="slot-list">${offers.join("") || `<div class="dim-text">Nothing posted.</div>`}</div>`
+      : `<div class="dim-text">Dock at the Station to take jobs from its board. Relays hand them out too.</div>`) +
+    `<div class="hint">J / Esc to close</div>`;
+}
+
+overlays.contracts = {
+  el: contractsEl,
+  render: renderContracts,
+  onKey(key, action) {
+    if (action === "contracts") closeOverlay();
+  },
+};
+
+contractsEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const id = Number(btn.dataset.id);
+  if (btn.dataset.action === "accept") game.acceptContract(id);
+  if (btn.dataset.action === "abandon" && window.confirm("Abandon this contract?")) game.abandonContract(id);
+  refreshOverlay();
+});
+
+// --- Run summary ---
+// Shown when the ship is destroyed, before the upgrades screen.
+function formatSeconds(seconds) {
+  const secs = Math.floor(seconds);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+// "Gas 3 · Pirate 2", biggest first
+function formatTally(tally) {
+  const parts = Object.entries(tally).sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ${n}`);
+  return parts.join(" · ") || "none";
+}
+
+function renderSummary() {
+  const r = lastRun;
+  if (!r) return;
+  const best = (id) => (r.newBests.includes(id) ? " 🏆" : "");
+  const rows = [
+    ["Time survived", formatSeconds(r.seconds) + best("seconds")],
+    ["Distance flown", `${r.distance.toFixed(1)} tiles${best("distance")}`],
+    ["Scrap earned / spent", `${r.scrapEarned}${best("scrapEarned")} / ${r.scrapSpent}`],
+    ["Fragments found", `${r.fragments}${best("fragments")}`],
+    ["Hostiles destroyed", `${r.kills}${best("kills")}`],
+    ["Damage taken", formatTally(r.damage)],
+    ["POIs used", formatTally(r.visits)],
+    ["Credits banked", `${r.credits}`],
+    ["Difficulty", r.difficulty ?? "Normal"],
+  ];
+  const bests = PERSONAL_BESTS.filter(b => r.newBests.includes(b.id)).map(b => b.name);
+
+  summaryEl.innerHTML =
+    `<div class="title">SHIP DESTROYED</div>` +
+    `<div class="mono">Seed ${escapeHtml(r.seed)}${r.cause ? `  |  Finished off by: ${escapeHtml(r.cause)}` : ""}</div>` +
+    `<table class="stats-table">${rows.map(([k, v]) => `<tr><td>${k}</td><td>${escapeHtml(v)}</td></tr>`).join("")}</table>` +
+    (bests.length ? `<div class="mono">🏆 New personal best: ${bests.join(", ")}</div>` : "") +
+    `<div class="upgrade-list">` +
+    `<button class="upgrade-row" data-action="upgrades"><span>Continue to upgrades</span><span></span><span></span></button>` +
+    `<button class="upgrade-row" data-action="history"><span>Run history…</span><span></span><span>${game.history.length} run${game.history.length === 1 ? "" : "s"}</span></button>` +
+    `</div>`;
+}
+
+overlays.summary = {
+  el: summaryEl,
+  render: renderSummary,
+  onKey() {},
+};
+
+summaryEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  if (btn.dataset.action === "upgrades") openUpgrades();
+  if (btn.dataset.action === "history") openOverlay("history", "summary");
+});
+
+// --- Run history ---
+// Every finished run on this browser, newest first, with personal bests.
+// Export hands the raw numbers over as JSON for balance work.
+function renderHistory() {
+  const bests = game.personalBests();
+  const bestRows = PERSONAL_BESTS.map(b => {
+    const best = bests[b.id];
+    const value = !best ? "—" : b.id === "seconds" ? formatSeconds(best.value)
+      : b.id === "distance" ? `${best.value.toFixed(1)} tiles` : String(best.value);
+    return `<tr><td>${b.name}</td><td>${value}</td><td class="dim-text">${best ? escapeHtml(best.run.seed) : ""}</td></tr>`;
+  });
+  const runs = game.history.map(r =>
+    `<tr><td>${new Date(r.endedAt).toLocaleDateString()}</td><td>${escapeHtml(r.seed)}</td>` +
+    `<td>${formatSeconds(r.seconds)}</td><td>${r.distance.toFixed(0)}</td><td>${r.scrapEarned}</td>` +
+    `<td>${r.fragments}</td><td>${r.kills}</td><td>${escapeHtml(r.difficulty ?? "Normal")}</td>` +
+    `<td>${r.end === "destroyed" ? `💥 ${escapeHtml(r.cause)}` : "new game"}</td></tr>`);
+
+  historyEl.innerHTML =
+    `<div class="title">RUN HISTORY</div>` +
+    `<table class="stats-table">${bestRows.join("")}</table>` +
+    `<div class="scroll-list"><table class="stats-table">` +
+    `<tr class="dim-text"><td>Date</td><td>Seed</td><td>Time</td><td>Tiles</td><td>Scrap</td><td>Frags</td><td>Kills</td><td>Difficulty</td><td>End</td></tr>` +
+    (runs.join("") || `<tr><td colspan="9" class="dim-text">No finished runs yet.</td></tr>`) +
+    `</table></div>` +
+    `<div class="slot-actions">` +
+    `<button data-action="export"${game.history.length ? "" : " disabled"}>Export JSON</button>` +
+    `<button data-action="clear"${game.history.length ? "" : " disabled"}>Clear</button>` +
+    `</div>` +
+    `<div class="hint">Last ${MAX_HISTORY} runs on this browser · H / Esc to close</div>`;
+}
+
+overlays.history = {
+  el: historyEl,
+  render: renderHistory,
+  onKey(key, action) {
+    if (action === "history") closeOverlay();
+  },
+};
+
+historyEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  if (btn.dataset.action === "export") downloadJSON(JSON.stringify(game.history, null, 2), "farreach-history.json");
+  if (btn.dataset.action === "clear" && window.confirm("Clear the run history and personal bests?")) game.clearHistory();
+  refreshOverlay();
+});
+
+// --- Achievements ---
+// Unlocks pop up as a toast for a few seconds; the screen (Y) lists every
+// achievement with its progress.
+const TOAST_MS = 5000;
+let toasts = []; // { el, until }
+
+function showToast(html) {
+  const el = document.createElement("div");
+  el.className = "panel toast";
+  el.innerHTML = html;
+  toastsEl.appendChild(el);
+  toasts.push({ el, until: performance.now() + TOAST_MS });
+}
+
+function updateToasts(now) {
+  for (const t of toasts) if (now >= t.until) t.el.remove();
+  toasts = toasts.filter(t => now < t.until);
+}
+
+function renderAchievements() {
+  const list = game.achievementStatus();
+  const done = list.filter(a => a.unlockedAt !== null).length;
+  const rows = list.map(a => {
+    const state = a.unlockedAt !== null ? `✅ ${new Date(a.unlockedAt).toLocaleDateString()}`
+      : a.format === "time" ? `${formatSeconds(a.progress)} / ${formatSeconds(a.goal)}`
+      : `${a.progress} / ${a.goal}`;
+    return `<tr${a.unlockedAt !== null ? "" : ` class="dim-text"`}><td>${a.unlockedAt !== null ? "🏆" : "🔒"} ${escapeHtml(a.name)}</td>` +
+      `<td>${escapeHtml(a.desc)}</td><td>${state}</td></tr>`;
+  });
+
+  achievementsEl.innerHTML =
+    `<div class="title">ACHIEVEMENTS · ${done}/${list.length}</div>` +
+    `<div class="scroll-list"><table class="stats-table">${rows.join("")}</table></div>` +
+    `<div class="hint">Progress is the best so far and is kept across runs · Y / Esc to close</div>`;
+}
+
+overlays.achievements = {
+  el: achievementsEl,
+  render: renderAchievements,
+  onKey(key, action) {
+    if (action === "achievements") closeOverlay();
+  },
+};
+
+// --- Controls screen ---
+// Every action with its keys. Pick one and press the key to bind it to.
+let rebinding = null; // action id waiting for its new key
+
+function renderBindings() {
+  const rows = CONTROL_ACTIONS.map(a =>
+    `<button class="upgrade-row" data-id="${a.id}"><span>${a.name}</span><span></span>` +
+    `<span>${rebinding === a.id ? "press a key…" : escapeHtml(bindingLabel(a.id))}</span></button>`);
+
+  bindingsEl.innerHTML =
+    `<div class="title">CONTROLS</div>` +
+    `<div class="scroll-list"><div class="upgrade-list">${rows.join("")}</div></div>` +
+    `<div class="slot-actions"><button data-action="reset">Reset to defaults</button></div>` +
+    `<div class="hint">Enter or click a row, then press the new key (Esc cancels). A key taken from another action leaves that one without it.</div>` +
+    `<div class="hint">Gamepad: left stick steers, d-pad thrusts, RT boost, LT brake, X fire, A interact, Y ping, LB/RB ${ITEMS.repairKit.name}/${ITEMS.fuelCell.name}, Back map, Start menu.</div>` +
+    `<div class="hint">Touch: on-screen stick and buttons, tap the map to fly there, pinch to zoom.</div>`;
+}
+
+overlays.bindings = {
+  el: bindingsEl,
+  render: renderBindings,
+  onKey(key, action) {
+    if (action === "bindings") closeOverlay();
+  },
+};
+
+bindingsEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.action === "reset") resetBindings();
+  else rebinding = btn.dataset.id;
+  refreshOverlay();
+});
+
+// --- Sound ---
+// Browsers only start audio after a key press or tap.
+window.addEventListener("keydown", () => audio.unlock());
+window.addEventListener("pointerdown", () => audio.unlock());
+
+// What the engine, alarms and music should sound like this frame
+function audioState() {
+  const stats = game.shipStats();
+  return {
+    active: !isPaused() && !(replay && replayPaused),
+    speed: clamp(Math.hypot(player.vx, player.vy) / stats.maxSpeed, 0, 1),
+    thrust: shipThrusting(),
+    boost: input.boost,
+    brake: input.brake,
+    fuel: ship.fuel / ship.maxFuel,
+    hull: ship.hull / ship.maxHull,
+    danger: game.dangerLevel(),
+  };
+}
+
+function percent(v) {
+  return `${Math.round(v * 100)}%`;
+}
+
+function renderSettings() {
+  const row = (attr, name, value) =>
+    `<button class="upgrade-row" ${attr}><span>${name}</span><span></span><span>${value}</span></button>`;
+  const rows = AUDIO_BUSES.map(b => row(`data-bus="${b.id}"`, b.name, percent(audio.settings[b.id])));
+  rows.push(row(`data-action="mute"`, "Mute", audio.settings.muted ? "on" : "off"));
+  rows.push(row(`data-action="motion"`, "Reduce motion", display.reduceMotion ? "on" : "off"));
+  settingsEl.innerHTML =
+    `<div class="title">SETTINGS</div>` +
+    `<div class="upgrade-list">${rows.join("")}</div>` +
+    `<div class="hint">←/→ change the selected volume · click to step it up · Esc to close</div>` +
+    `<div class="hint">Reduce motion turns off screen shake and the hit flash, and thins out particles.</div>`;
+}
+
+function stepVolume(bus, step) {
+  const value = audio.settings[bus] + step;
+  // clicking past full wraps round to silent
+  audio.setVolume(bus, value > 1 + 1e-9 ? 0 : value);
+}
+
+overlays.settings = {
+  el: settingsEl,
+  render: renderSettings,
+  onKey(key, action) {
+    if (action === "settings") { closeOverlay(); return; }
+    const bus = overlayButtons()[overlaySelection]?.dataset.bus;
+    if (!bus) return;
+    if (key === "arrowleft" || action === "left") audio.setVolume(bus, audio.settings[bus] - VOLUME_STEP);
+    if (key === "arrowright" || action === "right") audio.setVolume(bus, audio.settings[bus] + VOLUME_STEP);
+    refreshOverlay();
+  },
+};
+
+settingsEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.action === "mute") audio.toggleMute();
+  else if (btn.dataset.action === "motion") setReduceMotion(!display.reduceMotion);
+  else stepVolume(btn.dataset.bus, VOLUME_STEP);
+  refreshOverlay();
+});
+
+// --- Menu ---
+// Every action as a button, for gamepad (Start) and touch (☰) players.
+function renderMenu() {
+  const rows = CONTROL_ACTIONS.filter(a => !a.held && a.id !== "menu" && !ZOOM_ACTIONS.includes(a.id)).map(a =>
+    `<button class="upgrade-row" data-id="${a.id}"><span>${a.name}</span><span></span>` +
+    `<span class="dim-text">${escapeHtml(bindingLabel(a.id))}</span></button>`);
+  menuEl.innerHTML =
+    `<div class="title">MENU</div>` +
+    `<div class="scroll-list"><div class="upgrade-list">${rows.join("")}</div></div>`;
+}
+
+overlays.menu = {
+  el: menuEl,
+  render: renderMenu,
+  onKey() {},
+};
+
+menuEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-id]");
+  if (!btn) return;
+  closeOverlay();
+  PRESS_ACTIONS[btn.dataset.id]();
+});
+
+// --- New game ---
+// Ending a run throws away the ship, so N asks first. The next run's
+// difficulty is picked here, starting from this run's.
+let newGameSettings = null; // { preset, modifiers } being picked
+
+function renderNewGame() {
+  const settings = newGameSettings;
+  const preset = DIFFICULTY_PRESETS.find(p => p.id === settings.preset);
+  const rewards = difficultyEffects(settings).rewards;
+  const modifierRows = RUN_MODIFIERS.map(m =>
+    `<button class="upgrade-row" data-modifier="${m.id}"><span>${settings.modifiers.includes(m.id) ? "☑" : "☐"} ${m.name}</span>` +
+    `<span class="dim-text">${m.desc}</span><span>x${m.rewards}</span></button>`);
+  newGameEl.innerHTML =
+    `<div class="title">NEW GAME?</div>` +
+    `<div class="encounter-text">This run ends here: scrap, cargo, modules and fragments are lost and a fresh sector is generated. ` +
+    `The ${game.runCredits()} credits earned so far are banked and upgrades stay.</div>` +
+    `<div class="upgrade-list">` +
+    `<button class="upgrade-row" data-action="cancel"><span>Keep playing</span><span></span><span></span></button>` +
+    `<button class="upgrade-row" data-action="preset"><span>Difficulty: ‹ ${preset.name} ›</span>` +
+    `<span class="dim-text">${preset.desc}</span><span>x${preset.rewards ?? 1}</span></button>` +
+    modifierRows.join("") +
+    `<button class="upgrade-row" data-action="confirm"><span>Start a new game</span><span>credits x${rewards.toFixed(2)}</span>` +
+    `<span>${escapeHtml(bindingLabel("newGame"))} again</span></button>` +
+    `</div>` +
+    `<div class="hint">←/→ change the difficulty · Enter toggles a modifier · harder runs bank more credits</div>`;
+}
+
+function cyclePreset(step) {
+  const i = DIFFICULTY_PRESETS.findIndex(p => p.id === newGameSettings.preset);
+  newGameSettings.preset = DIFFICULTY_PRESETS[(i + step + DIFFICULTY_PRESETS.length) % DIFFICULTY_PRESETS.length].id;
+}
+
+function toggleModifier(id) {
+  const { modifiers } = newGameSettings;
+  newGameSettings.modifiers = modifiers.includes(id) ? modifiers.filter(m => m !== id) : [...modifiers, id];
+}
+
+function confirmNewGame() {
+  closeOverlay();
+  game.newGame(undefined, newGameSettings);
+  centerCameraOnPlayer();
+}
+
+overlays.newGame = {
+  el: newGameEl,
+  render: renderNewGame,
+  onKey(key, action) {
+    if (action === "newGame") { confirmNewGame(); return; }
+    if (overlayButtons()[overlaySelection]?.dataset.action !== "preset") return;
+    if (key === "arrowleft" || action === "left") cyclePreset(-1);
+    if (key === "arrowright" || action === "right") cyclePreset(1);
+    refreshOverlay();
+  },
+};
+
+newGameEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.modifier) toggleModifier(btn.dataset.modifier);
+  else if (btn.dataset.action === "preset") cyclePreset(1);
+  else if (btn.dataset.action === "confirm") { confirmNewGame(); return; }
+  else { closeOverlay(); return; }
+  refreshOverlay();
+});
+
+// --- Saves screen ---
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function renderSaves() {
+  const rows = game.slotNames.map((name, i) => {
+    const active = name === game.activeSlot;
+    const n = escapeHtml(name);
+    return `<div class="slot-row${active ? " active" : ""}">` +
+      `<div><div>${i + 1}. ${n}${active ? " (playing)" : ""}</div><div class="mono dim-text">${escapeHtml(game.describeSlot(name))}</div></div>` +
+      `<div class="slot-actions">` +
+      `<button data-action="load" data-slot="${n}"${active ? " disabled" : ""}>Load</button>` +
+      `<button data-action="export" data-slot="${n}">Export</button>` +
+      `<button data-action="delete" data-slot="${n}"${active ? " disabled" : ""}>Delete</button>` +
+      `</div></div>`;
+  });
+
+  savesEl.innerHTML =
+    `<div class="title">SAVES</div>` +
+    `<div class="slot-list">${rows.join("")}</div>` +
+    `<form class="seed-form" data-action="new">` +
+    `<input class="mono" type="text" name="slot" placeholder="New slot name" maxlength="${MAX_SLOT_NAME}" autocomplete="off" spellcheck="false" />` +
+    `<button type="submit">New</button>` +
+    `<button type="button" data-action="import">Import…</button>` +
+    `</form>` +
+    `<div class="hint">1–${game.slotNames.length} to load · L / Esc to close</div>`;
+}
+
+overlays.saves = {
+  el: savesEl,
+  render: renderSaves,
+  onKey(key, action) {
+    if (action === "saves") { closeOverlay(); return; }
+    const n = parseInt(key, 10);
+    const names = game.slotNames;
+    if (n >= 1 && n <= names.length && names[n - 1] !== game.activeSlot) {
+      switchSlot(names[n - 1]);
+      closeOverlay();
+    }
+  },
+};
+
+savesEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const name = btn.dataset.slot;
+
+  if (btn.dataset.action === "load") { switchSlot(name); closeOverlay(); return; }
+  if (btn.dataset.action === "export") exportSlot(name);
+  if (btn.dataset.action === "delete" && window.confirm(`Delete save slot "${name}"?`)) game.deleteSlot(name);
+  if (btn.dataset.action === "import") importFileEl.click();
+  refreshOverlay();
+});
 
-  pois = generatePOIs();
+savesEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const field = e.target.elements.slot;
+  const name = game.uniqueSlotName(field.value || `Slot ${game.slotNames.length + 1}`);
+  switchSlot(name);
+  closeOverlay();
+});
+
+importFileEl.addEventListener("change", async () => {
+  const file = importFileEl.files[0];
+  importFileEl.value = "";
+  if (!file) return;
+  if (game.importSave(await file.text(), file.name)) {
+    centerCameraOnPlayer();
+    closeOverlay();
+  } else {
+    refreshOverlay();
+  }
+});
+
+// --- Galaxy map ---
+function renderGalaxy() {
+  const { visited, known } = game.knownSectors();
+  const cells = [];
+  for (let y = 0; y < GALAXY_H; y++) {
+    for (let x = 0; x < GALAXY_W; x++) {
+      const key = keyXY(x, y);
+      const depth = sectorDepth(key);
+      let cls = "sector unknown";
+      let text = "";
+      if (key === galaxy.current) { cls = "sector current"; text = "◉"; }
+      else if (key === HOME_SECTOR_KEY) { cls = "sector visited home"; text = "⌂"; }
+      else if (visited.has(key)) { cls = "sector visited"; text = String(depth); }
+      else if (known.has(key)) { cls = "sector known"; text = "?"; }
+      // danger tint grows with depth
+      const tint = `rgba(255,${Math.max(60, 200 - depth * 25)},${Math.max(60, 200 - depth * 25)},${0.08 + depth * 0.04})`;
+      cells.push(`<div class="${cls}" style="--tint:${tint}" title="${sectorLabel(key)} depth ${depth}">${text}</div>`);
+    }
+  }
+
+  galaxyEl.innerHTML =
+    `<div class="title">GALAXY MAP</div>` +
+    `<div class="galaxy-grid" style="grid-template-columns: repeat(${GALAXY_W}, 1fr)">${cells.join("")}</div>` +
+    `<div class="mono">You are in sector ${sectorLabel(galaxy.current)}, depth ${sectorDepth(galaxy.current)}. Visited ${visited.size}/${GALAXY_W * GALAXY_H}.</div>` +
+    `<div class="hint">◉ you · ⌂ home · number = visited (depth) · ? = known · M / Esc to close</div>`;
+}
+
+overlays.galaxy = {
+  el: galaxyEl,
+  render: renderGalaxy,
+  onKey(key, action) {
+    if (action === "galaxy") closeOverlay();
+  },
+};
+
+// --- Replays ---
+// Every run since the last new game or load is recorded by the core. From
+// here it can be watched, saved as a file, or a saved file loaded back.
+function renderReplays() {
+  const length = formatTicks(liveGame.tickCount);
+  replaysEl.innerHTML =
+    `<div class="title">REPLAYS</div>` +
+    `<div class="mono">This run: seed ${escapeHtml(liveGame.runSeed)}, ${length} recorded</div>` +
+    `<div class="upgrade-list">` +
+    `<button class="upgrade-row" data-action="watch"><span>Watch this run</span><span></span><span>${length}</span></button>` +
+    `<button class="upgrade-row" data-action="save"><span>Save this run as file</span><span></span><span>.json</span></button>` +
+    `<button class="upgrade-row" data-action="load"><span>Load replay file…</span><span></span><span></span></button>` +
+    `</div>` +
+    `<div class="hint">↑/↓ + Enter or click · V / Esc to close</div>`;
+}
+
+overlays.replays = {
+  el: replaysEl,
+  render: renderReplays,
+  onKey(key, action) {
+    if (action === "replays") closeOverlay();
+  },
+};
+
+replaysEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const action = btn.dataset.action;
 
-  logLines = [];
-  addLog("🆕 New Game started. Fresh sector generated.");
+  if (action === "watch") startReplay(liveGame.exportReplay());
+  if (action === "save") {
+    downloadJSON(JSON.stringify(liveGame.exportReplay()), `farreach-replay-${fileSafe(liveGame.runSeed)}.json`);
+    liveGame.addLog(`📼 Saved a ${formatTicks(liveGame.tickCount)} replay.`);
+  }
+  if (action === "load") replayFileEl.click();
+});
+
+replayFileEl.addEventListener("change", async () => {
+  const file = replayFileEl.files[0];
+  replayFileEl.value = "";
+  if (!file) return;
+  let data;
+  try {
+    data = parseReplay(await file.text());
+  } catch (err) {
+    liveGame.addLog(`⚠️ Replay failed: ${err.message}.`);
+    return;
+  }
+  startReplay(data);
+});
+
+function formatTicks(ticks) {
+  const secs = Math.floor(ticks * FIXED_DT);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
 
-  saveGame();
+// --- Replay playback ---
+// While a replay plays, its game is the one on screen and the live game is
+// paused underneath. Space pauses, ←/→ skip 5 s, ↑/↓ change speed, Esc exits.
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+const REPLAY_SKIP_TICKS = Math.round(5 / FIXED_DT);
+
+let replay = null;     // playback from createPlayback()
+let replaySpeed = 0;   // index into REPLAY_SPEEDS
+let replayPaused = false;
+let replayAcc = 0;     // simulated time owed to the replay
+
+function startReplay(data) {
+  if (data.ticks === 0) {
+    liveGame.addLog("Nothing recorded yet.");
+    return;
+  }
+  closeOverlay();
+  replay = createPlayback(data, { log: showLog });
+  setSeedFormEnabled(false);
+  for (const plugin of plugins) replay.game.use(plugin, { addPanel() {} });
+  replaySpeed = 0;
+  replayPaused = false;
+  replayAcc = 0;
+  showGame(replay.game);
+  centerCameraOnPlayer();
+
+  replayBarEl.innerHTML =
+    `<button data-action="play"></button>` +
+    `<button data-action="speed"></button>` +
+    `<input type="range" min="0" max="${replay.length}" step="1" value="0" />` +
+    `<span class="mono replay-time"></span>` +
+    `<button data-action="restart">⏮</button>` +
+    `<button data-action="exit">Exit replay</button>`;
+  replayBarEl.classList.remove("hidden");
+  updateReplayBar();
+}
+
+function exitReplay() {
+  replay = null;
+  replayBarEl.classList.add("hidden");
+  setSeedFormEnabled(true);
+  showGame(liveGame);
+  applyInputMask(input, 0);
+  centerCameraOnPlayer();
 }
 
+function seekReplay(ticks) {
+  replay.seek(ticks);
+  replayAcc = 0;
+  centerCameraOnPlayer();
+  updateReplayBar();
+}
+
+// Advance playback by a frame's worth of (sped up) time
+function advanceReplay(frame) {
+  if (replayPaused) return;
+  replayAcc += frame * REPLAY_SPEEDS[replaySpeed];
+  const steps = Math.floor(replayAcc / FIXED_DT);
+  replayAcc -= steps * FIXED_DT;
+  replay.seek(replay.tick + steps);
+  if (replay.tick >= replay.length) replayPaused = true;
+  updateReplayBar();
+}
+
+function updateReplayBar() {
+  const [play, speed] = replayBarEl.querySelectorAll("button");
+  play.textContent = replayPaused ? "▶" : "⏸";
+  speed.textContent = `${REPLAY_SPEEDS[replaySpeed]}×`;
+  replayBarEl.querySelector("input").value = replay.tick;
+  replayBarEl.querySelector(".replay-time").textContent = `${formatTicks(replay.tick)} / ${formatTicks(replay.length)}`;
+}
+
+function toggleReplayPause() {
+  // Play from the end starts over
+  if (replayPaused && replay.tick >= replay.length) seekReplay(0);
+  replayPaused = !replayPaused;
+  updateReplayBar();
+}
+
+function changeReplaySpeed(step) {
+  replaySpeed = clamp(replaySpeed + step, 0, REPLAY_SPEEDS.length - 1);
+  updateReplayBar();
+}
+
+function onReplayKey(key, action) {
+  if (key === "escape") exitReplay();
+  else if (key === " " || action === "brake") toggleReplayPause();
+  else if (key === "arrowleft" || action === "left") seekReplay(replay.tick - REPLAY_SKIP_TICKS);
+  else if (key === "arrowright" || action === "right") seekReplay(replay.tick + REPLAY_SKIP_TICKS);
+  else if (key === "arrowup" || action === "up") changeReplaySpeed(1);
+  else if (key === "arrowdown" || action === "down") changeReplaySpeed(-1);
+}
+
+replayBarEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const action = btn.dataset.action;
+  if (action === "play") toggleReplayPause();
+  if (action === "speed") changeReplaySpeed(replaySpeed === REPLAY_SPEEDS.length - 1 ? -replaySpeed : 1);
+  if (action === "restart") seekReplay(0);
+  if (action === "exit") exitReplay();
+  btn.blur();
+});
+
+// Dragging the slider scrubs; let go and the keys work again
+replayBarEl.addEventListener("input", (e) => {
+  seekReplay(Number(e.target.value));
+});
+replayBarEl.addEventListener("change", (e) => e.target.blur());
+
+// --- Seed controls ---
+// Seeds start a live run, so the form is off while a replay is on screen
+function startSeededGame(seed) {
+  seed = String(seed).trim();
+  if (!seed || replay) return;
+  liveGame.newGame(seed);
+  centerCameraOnPlayer();
+}
+
+function setSeedFormEnabled(on) {
+  for (const el of seedFormEl.querySelectorAll("input, button")) el.disabled = !on;
+}
+
+seedFormEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  startSeededGame(seedInputEl.value);
+  seedInputEl.blur();
+});
+
+seedDailyEl.addEventListener("click", () => {
+  startSeededGame(dailySeed());
+  seedDailyEl.blur();
+});
+
 // --- Game Loop ---
+// The simulation runs in fixed FIXED_DT steps, so a recording replays
+// exactly; frames draw in between the last two steps.
 let lastTime = performance.now();
+let accumulator = 0; // real time not yet simulated
 
 function tick(now) {
-  const dt = Math.min(0.05, (now - lastTime) / 1000);
+  const workStart = performance.now();
+  const frameMs = now - lastTime;
+  const frame = Math.min(0.25, frameMs / 1000); // no catching up after a stall
   lastTime = now;
-
-  update(dt);
+  pollGamepad();
+
+  if (replay) {
+    advanceReplay(frame);
+    renderAlpha = replayPaused ? 1 : replayAcc / FIXED_DT;
+    updateCamera(frame);
+  } else if (!isPaused()) {
+    syncInput();
+    accumulator += frame;
+    while (accumulator >= FIXED_DT) {
+      game.step();
+      accumulator -= FIXED_DT;
+    }
+    renderAlpha = accumulator / FIXED_DT;
+    updateCamera(frame); // after the ship has moved
+  }
+  updateEffects(frame, replay ? !replayPaused : !isPaused());
   render();
+  updateToasts(now);
+  audio.update(audioState());
+  recordFrame(frameMs, performance.now() - workStart);
 
   requestAnimationFrame(tick);
 }
@@ -756,29 +2498,28 @@ function tick(now) {
 window.addEventListener("resize", resizeCanvas);
 resizeCanvas();
 
-const loaded = loadGame();
+function boot(defProblems = []) {
+  // ?seed=XYZ or ?daily in the URL starts that run instead of resuming the save
+  const params = new URLSearchParams(window.location.search);
+  const urlSeed = params.has("daily") ? dailySeed() : params.get("seed");
+  perf.shown = params.has("perf");
 
-if (!loaded || !Array.isArray(pois) || pois.length === 0) {
-  pois = generatePOIs();
-  saveGame();
-  addLog("Generated a new sector map.");
-} else {
-  addLog("Loaded saved sector map.");
-}
+  game.start(urlSeed);
 
-// Ensure player screen position is initialized even on first run
-{
-  const s = gridToScreen(player.wx, player.wy);
-  player.px = s.x;
-  player.py = s.y;
-}
-camera.x = 0;
-camera.y = 0;
+  // one-time center correction (zoom-safe)
+  centerCameraOnPlayer();
 
-// one-time center correction (zoom-safe)
-camera.x += (VIEW_W / 2) - player.px;
-camera.y += (VIEW_H / 2) - player.py;
+  game.addLog("MVP booted. Move with WASD/Arrows. Hold Shift to boost. Press E near POIs. Press N for New Game.");
+  for (const p of defProblems) game.addLog(`⚠️ ${p}`);
+  if (game.encounter) openOverlay("encounter"); // saved with one still open
 
-addLog("MVP booted. Move with WASD/Arrows. Hold Shift to boost. Press E near POIs. Press N for New Game.");
+  requestAnimationFrame(tick);
+}
 
-requestAnimationFrame(tick);
\ No newline at end of file
+// Designer definitions and plugins have to be in before a sector can be
+// generated
+Promise.all([
+  loadDefinitions(POI_DEFS_URL, data => game.registerPOIDefinitions(data)),
+  loadDefinitions(ENCOUNTERS_URL, data => game.registerEncounterDefinitions(data)),
+  loadPluginScripts(),
+]).then(lists => boot(lists.flat()));
@@ -0,0 +1,34 @@
+// plugins/bounty.js
+// Example plugin: a bounty on hostiles. Every kill pays extra scrap, Gas
+// clouds hit one point softer, and a HUD panel keeps the tally.
+// Load it with index.html?plugin=plugins/bounty.js
+registerPlugin({
+  id: "bounty",
+  setup({ game, on, modifyOutcomes, addPanel }) {
+    const BOUNTY = { Drone: 2, Pirate: 5 }; // scrap per kill
+    let kills = 0;
+    let paid = 0;
+
+    on("kill", (type) => {
+      const reward = BOUNTY[type] ?? 1;
+      kills++;
+      paid += reward;
+      game.gainScrap(reward);
+      game.addLog(`🎯 Bounty: +${reward} scrap for the ${type}.`);
+    });
+    on("newGame", () => {
+      kills = 0;
+      paid = 0;
+    });
+
+    modifyOutcomes((step, source) => {
+      if (source === "Gas" && step.damage > 1) return { ...step, damage: step.damage - 1 };
+      return undefined;
+    });
+
+    addPanel({
+      title: "BOUNTY",
+      render: () => `${kills} kill${kills === 1 ? "" : "s"} · ${paid} scrap paid`,
+    });
+  },
+});
@@ -0,0 +1,184 @@
+// sim/simulate.js
+// Plays N runs headlessly with a scripted bot and prints balance statistics.
+//
+//   node sim/simulate.js [--runs 20] [--seed balance] [--minutes 15]
+//                        [--difficulty normal] [--modifiers ironman,glassHull]
+//
+// Each run is a fresh game (seed "<seed>-<n>", no meta upgrades) that lasts
+// until the ship is destroyed or the time cap is reached. The bot mines the
+// nearest usable POI (going out of its way for fragment sources), shoots
+// whatever gets close, and heads back to the Station to sell, repair and
+// refuel when cargo, hull or fuel call for it, and takes the first choice
+// it can in every encounter. It never leaves the home sector and sees
+// through fog of war, so treat the numbers as a ceiling. The game advances
+// with step(), the fixed 1/60 s step the browser uses.
+const fs = require("fs");
+const path = require("path");
+const { createGame, createMemoryStorage, FRAG_TOTAL, FIXED_POIS, RECIPES, DIFFICULTY_PRESETS, RUN_MODIFIERS, difficultyLabel, FIXED_DT } = require("../core.js");
+
+const ARRIVE_RADIUS = 0.5;
+const STATION = FIXED_POIS.find(p => p.type === "Station");
+
+// Tiles of detour the bot accepts to reach a type instead of the nearest POI
+const DETOUR = { Derelict: 10, "Far Corner": 10 };
+
+function parseArgs(argv) {
+  const opts = { runs: 20, seed: "balance", minutes: 15, difficulty: "normal", modifiers: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in opts)) throw new Error(`unknown option ${argv[i]}`);
+    const value = argv[++i];
+    opts[name] = typeof opts[name] === "number" ? Number(value) : value;
+  }
+  if (!(opts.runs >= 1) || !(opts.minutes > 0)) throw new Error("--runs and --minutes must be positive");
+  if (!DIFFICULTY_PRESETS.some(p => p.id === opts.difficulty)) throw new Error(`unknown difficulty ${opts.difficulty}`);
+  opts.modifiers = opts.modifiers.split(",").filter(Boolean);
+  for (const id of opts.modifiers) {
+    if (!RUN_MODIFIERS.some(m => m.id === id)) throw new Error(`unknown modifier ${id}`);
+  }
+  return opts;
+}
+
+function loadDesignerDefs(game) {
+  const files = { "poi-types.json": game.registerPOIDefinitions, "encounters.json": game.registerEncounterDefinitions };
+  for (const [name, register] of Object.entries(files)) {
+    const file = path.join(__dirname, "..", name);
+    if (!fs.existsSync(file)) continue;
+    for (const p of register(JSON.parse(fs.readFileSync(file, "utf8")))) {
+      console.warn(`${name}: ${p}`);
+    }
+  }
+}
+
+// Worth flying to: has an outcome, isn't locked, has a charge and is ready
+function usable(game, poi) {
+  const def = game.poiDef(poi.type);
+  if (!def || def.outcomes.length === 0) return false;
+  if (def.requiresLegendary && !game.ship.hasLegendary) return false;
+  if (poi.pool !== undefined && game.poiCharges(poi) < 1) return false;
+  return game.poiCooldownLeft(poi) <= 0;
+}
+
+// Only worth the trip if there's something to sell or pay with
+function needsStation(game) {
+  const { ship, player } = game;
+  if (ship.scrap === 0 && game.cargoUsed() === 0) return false;
+  const home = Math.hypot(player.wx - STATION.x, player.wy - STATION.y);
+  if (ship.fuel < home + 4 && ship.fuel < ship.maxFuel - 1) return true;
+  if (ship.hull <= 3) return true;
+  return game.cargoUsed() >= game.cargoCapacity() - 2;
+}
+
+function pickTarget(game) {
+  if (needsStation(game)) return game.pois.find(p => p.x === STATION.x && p.y === STATION.y);
+  let best = null;
+  for (const poi of game.pois) {
+    if (!usable(game, poi)) continue;
+    const d = Math.hypot(poi.x - game.player.wx, poi.y - game.player.wy) - (DETOUR[poi.type] ?? 0);
+    if (!best || d < best.d) best = { d, poi };
+  }
+  return best?.poi ?? null;
+}
+
+// Dock: sell everything, patch up, fill up, craft the Legendary if possible
+function useStation(game) {
+  for (const id of ["sellAll", "fullRepair", "fillTanks", "repair", "refuel"]) {
+    for (let i = 0; i < 10; i++) {
+      const entry = game.stationEntries().find(e => e.id === id);
+      if (!entry || entry.blocked) break;
+      entry.run();
+    }
+  }
+  if (!game.recipeBlocker(RECIPES.find(r => r.gives.legendary))) game.craft("legendary");
+}
+
+function steer(game, target) {
+  const { input, player } = game;
+  const dx = target.x - player.wx;
+  const dy = target.y - player.wy;
+  const dist = Math.hypot(dx, dy);
+  const speed = Math.hypot(player.vx, player.vy);
+
+  input.left = dx < -0.15;
+  input.right = dx > 0.15;
+  input.up = dy < -0.15;
+  input.down = dy > 0.15;
+  // Ease off on approach so we don't overshoot
+  input.brake = dist < 1.5 && speed > dist * 2.5;
+  return dist;
+}
+
+function playRun(seed, maxSeconds, settings) {
+  let dead = false;
+  let banked = null;
+  const game = createGame({
+    storage: createMemoryStorage(),
+    clock: { now: () => 0 },
+    hooks: {
+      death: () => { dead = true; },
+      station: () => useStation(game),
+      runEnd: (summary) => { banked = summary; },
+    },
+  });
+  loadDesignerDefs(game);
+  game.start(seed, settings);
+
+  const stats = { seconds: 0, scrap: 0, fragments: 0, fragmentTimes: [], died: false };
+  game.input.fire = true;
+  let target = null;
+
+  while (stats.seconds < maxSeconds && !dead) {
+    const before = game.fragmentsCount();
+    if (!target || !game.pois.includes(target) || (target.type !== "Station" && !usable(game, target))) {
+      target = pickTarget(game);
+    }
+
+    if (target && steer(game, target) < ARRIVE_RADIUS) {
+      game.handleInteract();
+      const card = game.encounter;
+      if (card) game.chooseEncounter(card.choices.findIndex(c => !c.blocked));
+      target = null;
+    } else if (!target) {
+      game.input.left = game.input.right = game.input.up = game.input.down = false;
+      game.input.brake = true;
+    }
+
+    game.step(); // the same fixed step as the browser
+    stats.seconds += FIXED_DT;
+    if (game.fragmentsCount() > before) stats.fragmentTimes.push(stats.seconds);
+  }
+
+  stats.died = dead;
+  stats.fragments = stats.fragmentTimes.length;
+  stats.scrap = dead ? banked.scrapEarned : game.run.scrapEarned;
+  return stats;
+}
+
+function mean(list) {
+  return list.length ? list.reduce((a, b) => a + b, 0) / list.length : NaN;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const results = [];
+  for (let i = 1; i <= opts.runs; i++) {
+    results.push(playRun(`${opts.seed}-${i}`, opts.minutes * 60, { preset: opts.difficulty, modifiers: opts.modifiers }));
+  }
+
+  const minutes = results.map(r => r.seconds / 60);
+  const firstFragment = results.filter(r => r.fragments > 0).map(r => r.fragmentTimes[0]);
+  const fullSet = results.filter(r => r.fragments >= FRAG_TOTAL).map(r => r.fragmentTimes[FRAG_TOTAL - 1]);
+  const perFragment = results.filter(r => r.fragments > 0).map(r => r.fragmentTimes[r.fragments - 1] / r.fragments);
+
+  const fmt = (n, digits = 1) => (Number.isNaN(n) ? "—" : n.toFixed(digits));
+  console.log(`Runs: ${results.length} (seed "${opts.seed}", cap ${opts.minutes} min, ${difficultyLabel({ preset: opts.difficulty, modifiers: opts.modifiers })})`);
+  console.log(`Deaths: ${results.filter(r => r.died).length}`);
+  console.log(`Average run length: ${fmt(mean(minutes), 2)} min`);
+  console.log(`Scrap per minute: ${fmt(mean(results.map(r => r.scrap / (r.seconds / 60))), 2)}`);
+  console.log(`Fragments per run: ${fmt(mean(results.map(r => r.fragments)), 2)}`);
+  console.log(`Time to first fragment: ${fmt(mean(firstFragment))} s (${firstFragment.length} runs)`);
+  console.log(`Time per fragment: ${fmt(mean(perFragment))} s`);
+  console.log(`Time to all ${FRAG_TOTAL} fragments: ${fmt(mean(fullSet))} s (${fullSet.length} runs)`);
+}
+
+main();
@@ -0,0 +1,684 @@
+// Flight, fuel, interactions and death, driven through the headless core.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createGame, createMemoryStorage, FIXED_POIS, FRAG_TOTAL, HOME_SECTOR_KEY, PING_FUEL, PING_REVEAL, inputMask, applyInputMask,
+  mulberry32, buildPOIIndex, nearestInIndex, difficultyEffects, difficultyLabel } = require("../core.js");
+
+const DT = 1 / 60;
+
+function newTestGame(hooks = {}) {
+  const game = createGame({ storage: createMemoryStorage(), clock: { now: () => 0 }, hooks });
+  game.start("test-seed");
+  return game;
+}
+
+function fly(game, seconds, keys = {}) {
+  Object.assign(game.input, keys);
+  for (let t = 0; t < seconds; t += DT) game.update(DT);
+  for (const k of Object.keys(keys)) game.input[k] = false;
+}
+
+function fixedPOI(game, type) {
+  const at = FIXED_POIS.find(p => p.type === type);
+  return game.pois.find(p => p.x === at.x && p.y === at.y);
+}
+
+test("thrust moves the ship and drag brings it to rest", () => {
+  const game = newTestGame();
+  fly(game, 0.5, { right: true });
+  assert.ok(game.player.wx > 12.5, `expected to move right, at ${game.player.wx}`);
+  assert.ok(Math.abs(game.player.wy - 12) < 1e-9);
+
+  fly(game, 3);
+  assert.ok(Math.hypot(game.player.vx, game.player.vy) < 0.01);
+});
+
+test("the ship stays inside the sector", () => {
+  const game = newTestGame();
+  fly(game, 6, { left: true, up: true });
+  assert.equal(game.player.wx, 0);
+  assert.equal(game.player.wy, 0);
+});
+
+test("fuel drains by distance flown, faster when boosting", () => {
+  const cruise = newTestGame();
+  fly(cruise, 0.5, { right: true });
+  const cruiseBurn = cruise.ship.maxFuel - cruise.ship.fuel;
+  assert.ok(Math.abs(cruiseBurn - cruise.run.distance) < 1e-9);
+
+  const boost = newTestGame();
+  fly(boost, 0.5, { right: true, boost: true });
+  const boostBurn = boost.ship.maxFuel - boost.ship.fuel;
+  assert.ok(Math.abs(boostBurn - boost.run.distance * 1.6) < 1e-9);
+});
+
+test("standing still burns no fuel", () => {
+  const game = newTestGame();
+  fly(game, 2);
+  assert.equal(game.ship.fuel, game.ship.maxFuel);
+  assert.equal(game.run.distance, 0);
+});
+
+test("an empty tank never goes negative", () => {
+  const game = newTestGame();
+  game.ship.fuel = 0.2;
+  fly(game, 1, { down: true });
+  assert.equal(game.ship.fuel, 0);
+});
+
+test("mining asteroids pays out, spends a charge and starts the cooldown", () => {
+  const game = newTestGame();
+  const rock = fixedPOI(game, "Asteroids");
+  game.placePlayer(rock.x, rock.y);
+
+  game.handleInteract();
+  assert.ok(game.ship.scrap >= 1);
+  assert.ok(game.ship.cargo.ore >= 1);
+  assert.equal(rock.pool, game.poiDef("Asteroids").pool - 1);
+  assert.ok(game.poiCooldownLeft(rock) > 0);
+
+  const scrap = game.ship.scrap;
+  game.handleInteract();
+  assert.equal(game.ship.scrap, scrap, "recharging POI must not pay out");
+  assert.match(game.logLines[0], /recharging/);
+});
+
+test("the Far Corner stays locked without the Legendary Module", () => {
+  const game = newTestGame();
+  const corner = fixedPOI(game, "Far Corner");
+  game.placePlayer(corner.x, corner.y);
+  game.handleInteract();
+  assert.equal(game.ship.scrap, 0);
+  assert.match(game.logLines[0], /unreachable/);
+});
+
+test("docking at the Station asks the front end for the services menu", () => {
+  let docked = 0;
+  const game = newTestGame({ station: () => docked++ });
+  const station = fixedPOI(game, "Station");
+  game.placePlayer(station.x, station.y);
+  game.handleInteract();
+  assert.equal(docked, 1);
+});
+
+test("station services repair for scrap", () => {
+  const game = newTestGame();
+  game.ship.hull = 4;
+  game.ship.scrap = 10;
+  game.stationEntries().find(e => e.id === "fullRepair").run();
+  assert.equal(game.ship.hull, game.ship.maxHull);
+  assert.equal(game.ship.scrap, 10 - 6);
+});
+
+test("death banks credits, keeps fragments and respawns at home", () => {
+  let deaths = 0;
+  const game = newTestGame({ death: () => deaths++ });
+  game.ship.fragments.add(3);
+  game.ship.scrap = 7;
+  game.run.scrapEarned = 7;
+  game.ship.cargo.ore = 5;
+  game.placePlayer(20, 20);
+
+  game.damage(game.ship.maxHull);
+
+  assert.equal(deaths, 1);
+  assert.equal(game.ship.hull, game.ship.maxHull);
+  assert.equal(game.ship.fuel, game.ship.maxFuel);
+  assert.equal(game.ship.scrap, 0);
+  assert.equal(game.ship.cargo.ore, 0);
+  assert.deepEqual([...game.ship.fragments], [3]);
+  assert.equal(game.meta.credits, 7);
+  assert.equal(game.galaxy.current, HOME_SECTOR_KEY);
+  assert.deepEqual([game.player.wx, game.player.wy], [12, 12]);
+});
+
+test("an Ironman death wipes the collection and starts a fresh run", () => {
+  let deaths = 0;
+  const game = newTestGame({ death: () => deaths++ });
+  game.newGame("iron", { preset: "normal", modifiers: ["ironman"] });
+  game.ship.fragments.add(3);
+  game.ship.hasLegendary = true;
+  game.run.scrapEarned = 10;
+
+  game.damage(game.ship.maxHull, "Gas");
+
+  assert.equal(deaths, 1);
+  assert.equal(game.ship.fragments.size, 0);
+  assert.equal(game.ship.hasLegendary, false);
+  assert.notEqual(game.runSeed, "iron");
+  assert.equal(game.meta.credits, 15, "credits are still banked, x1.5");
+  assert.equal(game.history[0].difficulty, "Normal + Ironman");
+  assert.deepEqual(game.difficulty, { preset: "normal", modifiers: ["ironman"] }, "the next run keeps the settings");
+});
+
+test("difficulty scales hazards, damage, fuel, hull and sensors, and pays for it", () => {
+  const fx = difficultyEffects({ preset: "hard", modifiers: ["hazards", "tinyVision", "bogus"] });
+  assert.equal(fx.hazards, 2.5);
+  assert.equal(fx.vision, 2);
+  assert.ok(Math.abs(fx.rewards - 1.5 * 1.3 * 1.25) < 1e-9);
+  assert.equal(difficultyLabel({ preset: "nope", modifiers: ["glassHull"] }), "Normal + Glass hull");
+
+  const normal = newTestGame();
+  const game = newTestGame();
+  game.newGame("hard", { preset: "hard", modifiers: ["glassHull", "tinyVision"] });
+  assert.equal(game.ship.maxHull, Math.round(10 / 3));
+  assert.equal(game.visRadius(), 2);
+  assert.ok(game.shipStats().fuelPerTile > normal.shipStats().fuelPerTile);
+  assert.equal(game.hullDamage(2), 3);
+
+  const derelict = fixedPOI(game, "Derelict");
+  derelict.scanned = true;
+  fixedPOI(normal, "Derelict").scanned = true;
+  assert.ok(Math.abs(game.scanReport(derelict).trap - 0.5) < 1e-9, "the 40% trap goes to 50%");
+  assert.ok(Math.abs(normal.scanReport(fixedPOI(normal, "Derelict")).trap - 0.4) < 1e-9);
+
+  game.run.scrapEarned = 10;
+  assert.equal(game.runCredits(), Math.floor(10 * 1.5 * 1.5 * 1.25));
+});
+
+test("a run's stats are summed up and filed in the history when it ends", () => {
+  const summaries = [];
+  const game = newTestGame({ runEnd: (summary) => summaries.push(summary) });
+  summaries.length = 0; // start() ended the empty run before it
+  const rock = FIXED_POIS.find(p => p.type === "Asteroids");
+  game.placePlayer(rock.x, rock.y);
+  game.handleInteract();
+  fly(game, 2, { right: true });
+  game.damage(2, "Pirate");
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  game.placePlayer(station.x, station.y);
+  game.ship.scrap = 10;
+  game.runStationService("repair");
+  const lastHull = game.ship.hull;
+  game.damage(lastHull, "Gas");
+
+  assert.equal(summaries.length, 1);
+  const run = summaries[0];
+  assert.equal(run.end, "destroyed");
+  assert.equal(run.cause, "Gas");
+  assert.deepEqual(run.visits, { Asteroids: 1 });
+  assert.deepEqual(run.damage, { Pirate: 2, Gas: lastHull });
+  assert.ok(run.scrapSpent > 0);
+  assert.ok(run.distance > 0);
+  assert.ok(Math.abs(run.seconds - 2) < 0.05);
+  assert.equal(run.seed, "test-seed");
+  assert.deepEqual(run.newBests, ["seconds", "distance", "scrapEarned"]);
+  assert.deepEqual(game.history, [run]);
+  assert.deepEqual(game.run.visits, {}, "the next run starts from zero");
+
+  fly(game, 1);
+  game.damage(game.ship.hull, "Drone");
+  assert.deepEqual(summaries[1].newBests, []);
+  assert.equal(game.history.length, 2);
+  assert.equal(game.personalBests().seconds.run, run);
+});
+
+test("damage short of the hull only dents it", () => {
+  let deaths = 0;
+  const game = newTestGame({ death: () => deaths++ });
+  game.damage(3);
+  assert.equal(game.ship.hull, game.ship.maxHull - 3);
+  assert.equal(deaths, 0);
+});
+
+test("the same seed and inputs give the same run", () => {
+  const a = newTestGame();
+  const b = newTestGame();
+  for (const game of [a, b]) {
+    fly(game, 1.5, { right: true, down: true, fire: true });
+    fly(game, 1, { up: true });
+  }
+  assert.deepEqual(a.serializeGame(), b.serializeGame());
+});
+
+test("flying charts the sector and remembers POIs left behind", () => {
+  const game = newTestGame();
+  assert.equal(game.explorationPercent(), 0);
+  fly(game, 0.1);
+  assert.ok(game.isExplored(12, 12));
+  assert.ok(!game.isExplored(0, 0));
+  const start = game.explorationPercent();
+
+  const rock = fixedPOI(game, "Asteroids");
+  game.placePlayer(rock.x, rock.y);
+  fly(game, 0.1);
+  assert.ok(game.explorationPercent() > start);
+  assert.equal(game.chart.seen[`${rock.x},${rock.y}`], "Asteroids");
+
+  // still remembered after flying away and hopping sectors
+  game.placePlayer(2, 20);
+  fly(game, 0.1);
+  assert.equal(game.chart.seen[`${rock.x},${rock.y}`], "Asteroids");
+  const gate = game.pois.find(p => p.type === "Jump Gate");
+  game.placePlayer(gate.x, gate.y);
+  game.jumpThrough(gate);
+  assert.equal(game.explorationPercent(), 0);
+  game.enterSector(HOME_SECTOR_KEY);
+  assert.ok(game.isExplored(rock.x, rock.y));
+  assert.equal(game.chart.seen[`${rock.x},${rock.y}`], "Asteroids");
+});
+
+test("the autopilot flies to a waypoint and stops there", () => {
+  const game = newTestGame();
+  game.setWaypoint(18, 9);
+  fly(game, 4);
+  assert.equal(game.autopilot, null);
+  assert.ok(Math.hypot(game.player.wx - 18, game.player.wy - 9) < 0.5);
+  assert.ok(game.logLines.some(l => /Arrived at Asteroids/.test(l)));
+});
+
+test("thrust keys take over from the autopilot", () => {
+  const game = newTestGame();
+  game.setWaypoint(2, 2);
+  fly(game, 0.2);
+  fly(game, 0.1, { down: true });
+  assert.equal(game.autopilot, null);
+  assert.match(game.logLines[0], /Autopilot off/);
+});
+
+test("a tilted stick thrusts in proportion and snaps to what a recording can hold", () => {
+  const full = newTestGame();
+  const half = newTestGame();
+  fly(full, 0.5, { stickX: 1 });
+  fly(half, 0.5, { stickX: 0.5 });
+  assert.ok(half.player.wx > 12, "the half-tilted stick moves the ship");
+  assert.ok(half.player.wx - 12 < (full.player.wx - 12) * 0.6);
+  assert.ok(Math.abs(full.player.wy - 12) < 1e-9);
+
+  // off-grid positions snap to what a recording can hold
+  const game = newTestGame();
+  Object.assign(game.input, { stickX: 0.33, stickY: -0.8, boost: true });
+  const mask = inputMask(game.input);
+  const back = {};
+  applyInputMask(back, mask);
+  assert.equal(back.stickX, 5 / 15);
+  assert.equal(back.stickY, -12 / 15);
+  assert.equal(back.boost, true);
+  game.step();
+  assert.equal(game.input.stickX, back.stickX);
+  assert.equal(inputMask({ up: true }), 1, "no stick, same bits as before");
+});
+
+test("route estimates warn when the tank won't last", () => {
+  const game = newTestGame();
+  game.ship.fuel = 5;
+  const near = game.routeEstimate(12, 15);
+  assert.equal(near.fuel, 3);
+  assert.equal(near.strands, false);
+  assert.equal(near.noReturn, true, "8.5 tiles back to the Station on 2 fuel");
+
+  game.setWaypoint(22, 22);
+  assert.ok(game.routeEstimate(22, 22).strands);
+  assert.match(game.logLines[0], /Not enough fuel/);
+});
+
+test("fitted modules change handling and fuel burn", () => {
+  const stock = newTestGame();
+  fly(stock, 0.5, { right: true });
+
+  const tuned = newTestGame();
+  tuned.gainModule("afterburner");
+  assert.equal(tuned.ship.loadout.engine, "afterburner");
+  fly(tuned, 0.5, { right: true });
+  assert.ok(tuned.run.distance > stock.run.distance * 1.2);
+  const burn = tuned.ship.maxFuel - tuned.ship.fuel;
+  assert.ok(Math.abs(burn - tuned.run.distance * 1.2) < 1e-9);
+
+  const sensors = newTestGame();
+  const before = sensors.visRadius();
+  sensors.gainModule("deepScanner");
+  assert.equal(sensors.visRadius(), before + 2);
+});
+
+test("swapping modules moves the old one to the spares without refilling", () => {
+  const game = newTestGame();
+  game.gainModule("plating");
+  assert.equal(game.ship.maxHull, 13);
+  assert.equal(game.gainModule("ablative"), "spare");
+  game.ship.hull = 5;
+
+  game.equipModule("ablative");
+  assert.equal(game.ship.loadout.plating, "ablative");
+  assert.deepEqual(game.ship.spares, ["plating"]);
+  assert.equal(game.ship.maxHull, 10);
+
+  game.equipModule("plating");
+  assert.equal(game.ship.hull, 5, "refitting plating must not repair the hull");
+});
+
+test("losing the ship keeps only durable modules", () => {
+  const game = newTestGame();
+  game.gainModule("injector");
+  game.gainModule("ablative");
+  game.gainModule("bladder");
+  game.gainModule("afterburner"); // engine taken: spare
+  game.ship.hull = 1;
+  while (game.ship.hull > 0 && game.ship.loadout.tank) game.damage(1);
+
+  assert.deepEqual(game.ship.loadout, { engine: null, tank: null, plating: "ablative", sensors: null, utility: null });
+  assert.deepEqual(game.ship.spares, []);
+  assert.equal(game.ship.maxFuel, game.ship.fuel);
+});
+
+test("the Station posts contracts and accepting one starts its clock", () => {
+  const game = newTestGame();
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  game.placePlayer(station.x, station.y);
+  game.handleInteract();
+  assert.equal(game.contracts.offers.length, 3);
+
+  const offer = game.contracts.offers[0];
+  fly(game, 1);
+  assert.equal(game.acceptContract(offer.id), true);
+  assert.deepEqual(game.contracts.active, [offer]);
+  assert.equal(game.contracts.offers.length, 2);
+  if (offer.timeLimit !== null) assert.equal(offer.deadline, game.worldTime + offer.timeLimit);
+
+  game.placePlayer(3, 3);
+  assert.equal(game.acceptContract(game.contracts.offers[0].id), false, "only at the Station");
+});
+
+test("a delivery pays out once the cargo is handed over", () => {
+  const game = newTestGame();
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  game.contracts.active.push({
+    id: 99, kind: "deliver", count: 3, progress: 0, reward: 20, timeLimit: null, deadline: null,
+    sector: HOME_SECTOR_KEY, target: "Station", x: station.x, y: station.y, resource: "ore",
+  });
+  game.placePlayer(station.x, station.y);
+  game.ship.cargo.ore = 2;
+  game.handleInteract();
+  assert.equal(game.contracts.active.length, 1);
+  assert.match(game.logLines.join("\n"), /needs 1 more ore/);
+
+  game.ship.cargo.ore = 4;
+  game.handleInteract();
+  assert.equal(game.contracts.active.length, 0);
+  assert.equal(game.contracts.completed, 1);
+  assert.equal(game.ship.cargo.ore, 1);
+  assert.equal(game.ship.scrap, 20);
+});
+
+test("bounties count kills and missed deadlines fail the contract", () => {
+  const game = newTestGame();
+  game.contracts.active.push(
+    { id: 1, kind: "clear", count: 1, progress: 0, reward: 10, timeLimit: null, deadline: null, sector: HOME_SECTOR_KEY },
+    { id: 2, kind: "scan", count: 2, progress: 0, reward: 10, timeLimit: 1, deadline: 1, sector: HOME_SECTOR_KEY, scanned: [] },
+  );
+  const target = game.enemies[0];
+  game.projectiles.push({ owner: "player", wx: target.wx, wy: target.wy, vx: 0, vy: 0, ttl: 1, damage: 99 });
+  game.update(DT);
+  assert.ok(!game.enemies.includes(target));
+  assert.equal(game.contracts.completed, 1);
+
+  fly(game, 1.1);
+  assert.equal(game.contracts.active.length, 0);
+  assert.ok(game.logLines.some(l => /Contract expired: Scan 2 Beacons/.test(l)));
+  assert.equal(game.contracts.completed, 1);
+});
+
+test("hooks report hits, kills and POI use, and danger follows pursuit and hull", () => {
+  const heard = [];
+  const game = newTestGame({
+    damage: (amount, cause) => heard.push(["damage", amount, cause]),
+    kill: (type) => heard.push(["kill", type]),
+    interact: (type) => heard.push(["interact", type]),
+  });
+  for (const e of game.enemies) e.state = "patrol";
+  assert.equal(game.dangerLevel(), 0);
+
+  const target = game.enemies[0];
+  target.state = "chase";
+  const chased = game.dangerLevel();
+  assert.ok(chased > 0);
+  game.damage(5, "Pirate");
+  assert.ok(game.dangerLevel() > chased);
+
+  game.projectiles.push({ owner: "player", wx: target.wx, wy: target.wy, vx: 0, vy: 0, ttl: 1, damage: 99 });
+  game.update(DT);
+  const rock = fixedPOI(game, "Asteroids");
+  game.placePlayer(rock.x, rock.y);
+  game.handleInteract();
+  game.handleInteract(); // recharging: nothing used
+
+  // (the asteroids may have dented the hull on the way)
+  assert.deepEqual(heard.slice(0, 2), [["damage", 5, "Pirate"], ["kill", target.type]]);
+  assert.deepEqual(heard.filter(h => h[0] === "interact"), [["interact", "Asteroids"]]);
+  assert.deepEqual(heard.at(-1), ["interact", "Asteroids"]);
+});
+
+test("encounters.json loads cleanly", () => {
+  const game = newTestGame();
+  const file = require("../encounters.json");
+  assert.deepEqual(game.registerEncounterDefinitions(file), []);
+  assert.deepEqual(game.registerEncounterDefinitions({ encounters: [{ id: "x", poi: ["Gas"], choices: [] }] }), ["x: needs 2–4 choices"]);
+});
+
+test("an encounter replaces the dice roll, gates choices and never repeats", () => {
+  const cards = [];
+  const game = newTestGame({ encounter: (card) => cards.push(card) });
+  const step = (log) => ({ steps: [{ log }] });
+  game.registerEncounterDefinitions([{
+    id: "probe", title: "A Probe", text: "It blinks.", poi: ["Gas"],
+    choices: [
+      { label: "Pay", cost: { scrap: 5 }, outcomes: [{ steps: [{ cargo: { gas: 2 }, log: "paid +{gas}" }] }] },
+      { label: "Scan", requires: { stats: { vision: 9 } }, outcomes: [step("scanned")] },
+      { label: "Leave", outcomes: [step("left"), { weight: 100, when: { fragments: 1 }, ...step("left rich") }] },
+    ],
+  }]);
+  const gas = game.pois.find(p => p.type === "Gas");
+  game.placePlayer(gas.x, gas.y);
+  const pool = game.poiCharges(gas);
+  game.handleInteract();
+
+  assert.equal(cards.length, 1);
+  assert.deepEqual(cards[0].choices.map(c => c.blocked), ["costs 5 scrap", "needs vision 9", null]);
+  assert.equal(game.poiCharges(gas), pool - 1);
+  assert.equal(game.ship.cargo.gas, 0, "no dice roll");
+  assert.equal(game.chooseEncounter(0), false);
+  assert.ok(game.encounter, "still open");
+
+  game.ship.scrap = 6;
+  assert.equal(game.chooseEncounter(0), true);
+  assert.equal(game.ship.scrap, 1);
+  assert.equal(game.logLines[0], "paid +2");
+  assert.equal(game.encounter, null);
+
+  fly(game, 3);
+  game.handleInteract();
+  assert.equal(cards.length, 1, "seen this run");
+});
+
+test("outcome conditions follow the ship", () => {
+  const game = newTestGame();
+  game.registerEncounterDefinitions([{
+    id: "fork", title: "Fork", text: "", poi: ["Gas"],
+    choices: [
+      { label: "Go", outcomes: [{ steps: [{ log: "poor" }] }, { weight: 1e9, when: { module: "injector" }, steps: [{ log: "rich" }] }] },
+      { label: "Stay", outcomes: [{ steps: [] }] },
+    ],
+  }]);
+  game.gainModule("injector");
+  const gas = game.pois.find(p => p.type === "Gas");
+  game.placePlayer(gas.x, gas.y);
+  game.handleInteract();
+  game.chooseEncounter(0);
+  assert.equal(game.logLines[0], "rich");
+});
+
+test("a sensor ping reveals, charts and reads out POIs beyond sensor range", () => {
+  const game = newTestGame();
+  const derelict = game.pois.find(p => p.type === "Derelict");
+  game.placePlayer(derelict.x + 6, derelict.y);
+  assert.equal(game.isRevealed(derelict.x, derelict.y), false);
+  assert.equal(game.scanReport(derelict), null);
+
+  const fuel = game.ship.fuel;
+  assert.equal(game.sensorPing(), true);
+  assert.equal(game.ship.fuel, fuel - PING_FUEL);
+  assert.ok(game.isRevealed(derelict.x, derelict.y));
+  assert.ok(game.isExplored(derelict.x, derelict.y));
+  assert.equal(game.chart.seen[`${derelict.x},${derelict.y}`], "Derelict");
+
+  const report = game.scanReport(derelict);
+  assert.ok(Math.abs(report.trap - 0.4) < 1e-9, "the 40% trap branch");
+  assert.deepEqual(report.yields, ["fragments", "scrap", "electronics", "modules"]);
+  assert.equal(report.charges, 3);
+
+  assert.equal(game.sensorPing(), false, "still recharging");
+  fly(game, PING_REVEAL + 0.1);
+  assert.equal(game.isRevealed(derelict.x, derelict.y), false, "the reveal wears off");
+  assert.ok(game.scanReport(derelict), "the readout stays");
+});
+
+test("a Beacon boosts the scanner and recharges it", () => {
+  const game = newTestGame();
+  const beacon = game.pois.find(p => p.type === "Beacon");
+  game.placePlayer(beacon.x, beacon.y);
+  const base = game.pingRadius();
+  game.sensorPing();
+  assert.ok(game.scannerCooldownLeft() > 0);
+
+  game.handleInteract();
+  assert.equal(game.scannerCooldownLeft(), 0);
+  assert.ok(game.pingRadius() > base);
+});
+
+test("the POI index finds what a full scan would, on a 200x200 map too", () => {
+  const random = mulberry32({ state: 7 });
+  const pois = [];
+  for (let i = 0; i < 2000; i++) pois.push({ x: Math.floor(random() * 200), y: Math.floor(random() * 200), type: "Gas" });
+  const index = buildPOIIndex(pois);
+  const scan = (wx, wy, radius) => {
+    let best = null;
+    for (const p of pois) {
+      const d = Math.hypot(p.x - wx, p.y - wy);
+      if (d <= radius && (!best || d < best.d)) best = { d, poi: p };
+    }
+    return best ? best.poi : null;
+  };
+  for (let i = 0; i < 500; i++) {
+    const wx = random() * 200, wy = random() * 200, radius = 0.65 + random() * 3;
+    assert.equal(nearestInIndex(index, wx, wy, radius), scan(wx, wy, radius));
+  }
+
+  const game = newTestGame();
+  const gas = game.pois.find(p => p.type === "Gas");
+  assert.equal(game.getNearestPOI(gas.x + 0.2, gas.y), gas);
+  assert.ok(game.poisInArea(gas.x, gas.y, gas.x, gas.y).includes(gas));
+  assert.equal(game.poisInArea(0, 0, 23, 23).length, game.pois.length);
+});
+
+test("the chart version only moves when a new tile is charted", () => {
+  const game = newTestGame();
+  fly(game, 0.1);
+  const before = game.chartVersion;
+  fly(game, 0.1);
+  assert.equal(game.chartVersion, before, "nothing new while sitting still");
+  fly(game, 1, { right: true });
+  assert.ok(game.chartVersion > before);
+});
+
+test("achievements unlock from game events and keep their best progress", () => {
+  const unlocked = [];
+  const game = newTestGame({ achievement: (a) => unlocked.push(a.id) });
+  const status = (id) => game.achievementStatus().find(a => a.id === id);
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  const rock = FIXED_POIS.find(p => p.type === "Asteroids");
+
+  game.placePlayer(station.x, station.y);
+  game.handleInteract();
+  assert.deepEqual(unlocked, [], "docking with fuel in the tank is nothing special");
+  game.ship.fuel = 0;
+  game.update(DT);
+  assert.equal(game.run.ranDry, true);
+  game.handleInteract();
+  assert.deepEqual(unlocked, ["onFumes"]);
+  assert.equal(status("onFumes").unlockedAt, 0);
+
+  game.placePlayer(rock.x, rock.y);
+  game.handleInteract();
+  assert.equal(status("tourist").progress, 2);
+  game.damage(game.ship.hull, "Gas");
+  game.placePlayer(rock.x, rock.y);
+  game.update(5); // past the cooldown
+  game.handleInteract();
+  assert.equal(status("tourist").progress, 2, "the best run so far counts");
+  assert.equal(status("tourist").unlockedAt, null);
+
+  game.ship.fuel = 0;
+  game.update(DT);
+  game.placePlayer(station.x, station.y);
+  game.handleInteract();
+  assert.deepEqual(unlocked, ["onFumes"], "unlocked once");
+
+  // every usable POI type counts, including registered ones, but not those
+  // behind the Legendary Module
+  assert.equal(status("tourist").goal, game.visitablePOITypes().length);
+  assert.ok(!game.visitablePOITypes().includes("Far Corner"));
+  game.registerPOIType({ type: "Ice Field", spawnWeight: 1 });
+  assert.ok(game.visitablePOITypes().includes("Ice Field"));
+
+  game.ship.fragments = new Set(Array.from({ length: FRAG_TOTAL }, (_, i) => i + 1));
+  assert.ok(game.craft("legendary"));
+  assert.deepEqual(unlocked, ["onFumes", "legendary"]);
+});
+
+test("a hit the armor shrugs off isn't logged as hull lost", () => {
+  const game = newTestGame();
+  game.enemies.length = 0;
+  assert.equal(game.gainModule("ablative"), "equipped");
+  game.modifyOutcomes((step, source) => (source === "Gas" ? { chance: 1, damage: 1, log: "☁️ took {damage} hull damage." } : undefined));
+  const gas = game.pois.find(p => p.type === "Gas");
+  let lines = [];
+  game.on("log", (log) => lines.push(log[0]));
+
+  // each hit either takes hull and says so, or is blocked and says only that
+  const hits = { gas: [0, 0], fire: [0, 0] }; // [blocked, taken]
+  const check = (kind, hull) => {
+    if (game.ship.hull === hull) {
+      assert.deepEqual(lines, ["🛡️ The armor shrugged off a hit."]);
+      hits[kind][0]++;
+    } else {
+      assert.ok(lines.some(l => l.includes(`${hull - game.ship.hull} hull`)), lines.join(" | "));
+      assert.ok(!lines.some(l => l.includes("shrugged")));
+      hits[kind][1]++;
+    }
+  };
+  for (let i = 0; i < 30; i++) {
+    game.repair(99);
+    game.placePlayer(gas.x, gas.y);
+    game.update(30); // past the cooldown, charges back
+    let hull = game.ship.hull;
+    lines = [];
+    game.handleInteract();
+    check("gas", hull);
+
+    hull = game.ship.hull;
+    lines = [];
+    game.projectiles.push({ wx: game.player.wx, wy: game.player.wy, vx: 0, vy: 0, ttl: 1, damage: 1, owner: "enemy", source: "Drone" });
+    game.update(DT);
+    check("fire", hull);
+  }
+  for (const [blocked, taken] of Object.values(hits)) assert.ok(blocked > 0 && taken > 0, JSON.stringify(hits));
+});
+
+test("a refused service doesn't count as using the POI", () => {
+  const used = [];
+  const game = newTestGame({ interact: (type) => used.push(type) });
+  const gate = game.pois.find(p => p.type === "Jump Gate");
+  game.placePlayer(gate.x, gate.y);
+  game.ship.fuel = 0;
+  game.handleInteract();
+  assert.equal(game.galaxy.current, HOME_SECTOR_KEY);
+  assert.deepEqual(game.run.visits, {});
+  assert.deepEqual(used, []);
+
+  game.ship.fuel = game.ship.maxFuel;
+  game.placePlayer(gate.x, gate.y);
+  game.handleInteract();
+  assert.notEqual(game.galaxy.current, HOME_SECTOR_KEY);
+  assert.deepEqual(game.run.visits, { "Jump Gate": 1 });
+  assert.deepEqual(used, ["Jump Gate"]);
+});
@@ -0,0 +1,100 @@
+// The event bus and the plugin api, driven through the headless core.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createGame, createMemoryStorage, FIXED_POIS, GAME_EVENTS } = require("../core.js");
+
+function newTestGame(hooks = {}) {
+  const game = createGame({ storage: createMemoryStorage(), clock: { now: () => 0 }, hooks });
+  game.start("test-seed");
+  return game;
+}
+
+test("listeners hear events alongside the hooks until they stop", () => {
+  const heard = [];
+  const game = newTestGame({ damage: (amount) => heard.push(["hook", amount]) });
+  const off = game.on("damage", (amount, cause) => heard.push(["listener", amount, cause]));
+  game.damage(1, "Pirate");
+  off();
+  game.damage(1, "Pirate");
+
+  assert.deepEqual(heard, [["hook", 1], ["listener", 1, "Pirate"], ["hook", 1]]);
+  assert.throws(() => game.on("explode", () => {}), /unknown game event "explode"/);
+});
+
+test("resources, fragments, new games and ticks are announced", () => {
+  const game = newTestGame();
+  const events = [];
+  for (const name of ["resource", "fragment", "newGame"]) game.on(name, (...args) => events.push([name, ...args]));
+  let ticks = 0;
+  game.on("tick", () => ticks++);
+
+  game.addCargo("ore", 2);
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  game.placePlayer(station.x, station.y);
+  game.runStationService("sellAll");
+  assert.deepEqual(events.slice(0, 2), [["resource", "ore", 2, 2], ["resource", "ore", -2, 0]]);
+  assert.equal(events[2][0], "resource");
+  assert.equal(events[2][1], "scrap");
+
+  const derelict = FIXED_POIS.find(p => p.type === "Derelict");
+  game.placePlayer(derelict.x, derelict.y);
+  for (let i = 0; i < 20 && game.fragmentsCount() === 0; i++) {
+    game.update(5); // past the cooldown
+    game.handleInteract();
+  }
+  const found = events.find(e => e[0] === "fragment");
+  assert.ok(found, "a fragment turned up");
+  assert.equal(found[2], 1);
+
+  game.update(1 / 60);
+  assert.ok(ticks > 0);
+  game.newGame("next");
+  assert.deepEqual(events.at(-1), ["newGame", "next", { preset: "normal", modifiers: [] }]);
+  assert.ok(Object.keys(GAME_EVENTS).includes("tick"));
+});
+
+test("a plugin can listen, add POI types and change outcomes", () => {
+  const game = newTestGame();
+  let kills = 0;
+  game.use({
+    id: "test",
+    setup({ on, modifyOutcomes, registerPOIType, extra }) {
+      assert.equal(extra, 42);
+      on("kill", () => kills++);
+      registerPOIType({ type: "Ice Field", spawnWeight: 1, outcomes: [{ scrap: 2, log: "ice" }] });
+      modifyOutcomes((step, source) => (source === "Gas" ? { ...step, chance: 1, damage: 1 } : undefined));
+    },
+  }, { extra: 42 });
+
+  assert.deepEqual(game.plugins, ["test"]);
+  assert.ok(game.poiDef("Ice Field"));
+  assert.throws(() => game.use({ id: "test", setup() {} }), /already in use/);
+  assert.throws(() => game.use({ id: "broken" }), /setup\(\) function/);
+
+  const gas = game.pois.find(p => p.type === "Gas");
+  game.placePlayer(gas.x, gas.y);
+  const hull = game.ship.hull;
+  game.handleInteract();
+  assert.equal(game.ship.hull, hull - 1, "the corrosive branch always runs");
+  gas.scanned = true;
+  assert.equal(game.scanReport(gas).trap, 1);
+});
+
+test("a plugin that throws doesn't stop the game", (t) => {
+  t.mock.method(console, "error", () => {});
+  const game = newTestGame();
+  game.use({
+    id: "broken",
+    setup({ on, modifyOutcomes }) {
+      on("tick", () => { throw new Error("boom"); });
+      modifyOutcomes(() => { throw new Error("boom"); });
+    },
+  });
+  game.update(1 / 60);
+  const rock = game.pois.find(p => p.type === "Asteroids");
+  game.placePlayer(rock.x, rock.y);
+  game.handleInteract();
+  assert.ok(game.run.scrapEarned > 0, "the outcome ran unchanged");
+  assert.ok(console.error.mock.callCount() >= 2);
+});
@@ -0,0 +1,154 @@
+// Fixed-step recording and deterministic playback.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createGame, createMemoryStorage, createPlayback, parseReplay, FIXED_POIS } = require("../core.js");
+
+const clock = { now: () => 1700000000000 };
+
+// Steer with recorded inputs until the ship sits on (x, y)
+function flyTo(game, x, y) {
+  const { input, player } = game;
+  for (let i = 0; i < 1200; i++) {
+    const dx = x - player.wx;
+    const dy = y - player.wy;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 0.3 && Math.hypot(player.vx, player.vy) < 0.5) break;
+    input.left = dx < -0.15;
+    input.right = dx > 0.15;
+    input.up = dy < -0.15;
+    input.down = dy > 0.15;
+    input.brake = dist < 1.5 && Math.hypot(player.vx, player.vy) > dist * 2.5;
+    game.step();
+  }
+  for (const k of Object.keys(input)) input[k] = false;
+}
+
+// Scripted session: fly around shooting, mine the asteroids, sell at the Station
+function playSession(game) {
+  const ticks = (n, keys = {}) => {
+    Object.assign(game.input, keys);
+    for (let i = 0; i < n; i++) game.step();
+    for (const k of Object.keys(keys)) game.input[k] = false;
+  };
+  ticks(90, { right: true, fire: true });
+  ticks(60, { down: true, boost: true });
+  ticks(120);
+
+  const rock = FIXED_POIS.find(p => p.type === "Asteroids");
+  flyTo(game, rock.x, rock.y);
+  game.handleInteract();
+  ticks(80);
+  game.handleInteract();
+
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  flyTo(game, station.x, station.y);
+  game.runStationService("sellAll");
+  ticks(200, { left: true, up: true, fire: true });
+
+  game.setWaypoint(12, 16);
+  ticks(150);
+}
+
+// Everything except the save timestamp
+function state(game) {
+  const { savedAt, ...rest } = game.serializeGame();
+  return rest;
+}
+
+test("a replay reproduces the recorded run exactly", () => {
+  const live = createGame({ storage: createMemoryStorage(), clock });
+  live.start("replay-seed");
+  playSession(live);
+  assert.ok(live.run.scrapEarned > 0, "the session mined something");
+
+  const replay = parseReplay(JSON.stringify(live.exportReplay()));
+  assert.equal(replay.ticks, live.tickCount);
+  assert.equal(replay.actions.length, 4);
+
+  const playback = createPlayback(replay);
+  playback.seek(replay.ticks);
+  assert.deepEqual(state(playback.game), state(live));
+});
+
+test("seeking backwards lands on the same state as playing forwards", () => {
+  const live = createGame({ storage: createMemoryStorage(), clock });
+  live.start("scrub-seed");
+  playSession(live);
+  const replay = parseReplay(JSON.stringify(live.exportReplay()));
+
+  const straight = createPlayback(replay);
+  straight.seek(300);
+
+  const scrubbed = createPlayback(replay);
+  scrubbed.seek(replay.ticks);
+  scrubbed.seek(300);
+  assert.equal(scrubbed.tick, 300);
+  assert.deepEqual(state(scrubbed.game), state(straight.game));
+});
+
+test("a new game starts a new recording", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("first");
+  for (let i = 0; i < 30; i++) game.step();
+  game.newGame("second");
+  assert.equal(game.tickCount, 0);
+  assert.equal(game.exportReplay().seed, "second");
+  assert.equal(game.exportReplay().ticks, 0);
+});
+
+test("malformed replays are rejected", () => {
+  assert.throws(() => parseReplay("{}"), /not a FarReach replay/);
+
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("bad");
+  for (let i = 0; i < 10; i++) game.step();
+  const replay = game.exportReplay();
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, ticks: 11 })), /tick count/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, actions: [{ tick: 0, name: "damage", args: [99] }] })), /unknown action/);
+});
+
+test("stick thrust replays exactly", () => {
+  const live = createGame({ storage: createMemoryStorage(), clock });
+  live.start("stick-seed");
+  const ticks = (n, stick) => {
+    Object.assign(live.input, stick);
+    for (let i = 0; i < n; i++) live.step();
+  };
+  ticks(90, { stickX: 1, stickY: -0.4 });
+  ticks(60, { stickX: -0.33, stickY: 0.8 });
+  ticks(60, { stickX: 0, stickY: 0 });
+
+  const replay = parseReplay(JSON.stringify(live.exportReplay()));
+  const playback = createPlayback(replay);
+  playback.seek(replay.ticks);
+  assert.notDeepEqual([live.player.wx, live.player.wy], [12, 12], "the stick moved the ship");
+  assert.deepEqual([playback.game.player.wx, playback.game.player.wy], [live.player.wx, live.player.wy]);
+  assert.deepEqual(state(playback.game), state(live));
+});
+
+test("a plugin set up on the playback too replays its changes", () => {
+  const salvageBonus = {
+    id: "salvage-bonus",
+    setup({ game, on }) {
+      on("interact", () => game.gainScrap(5));
+    },
+  };
+  const live = createGame({ storage: createMemoryStorage(), clock });
+  live.use(salvageBonus);
+  live.start("replay-seed");
+  const rock = FIXED_POIS.find(p => p.type === "Asteroids");
+  flyTo(live, rock.x, rock.y);
+  live.handleInteract();
+  for (let i = 0; i < 60; i++) live.step();
+
+  const replay = parseReplay(JSON.stringify(live.exportReplay()));
+  const without = createPlayback(replay);
+  without.seek(replay.ticks);
+  assert.notDeepEqual(state(without.game), state(live));
+
+  const playback = createPlayback(replay);
+  playback.game.use(salvageBonus);
+  playback.seek(replay.ticks);
+  assert.deepEqual(state(playback.game), state(live));
+});
@@ -0,0 +1,270 @@
+// Save slots, migrations and corrupt-save handling against an in-memory storage.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createGame, createMemoryStorage, SAVE_VERSION, LEGACY_SAVE_KEY, SLOT_PREFIX, BACKUP_PREFIX, META_KEY, HISTORY_KEY, ACHIEVEMENTS_KEY, FIXED_POIS,
+} = require("../core.js");
+
+const clock = { now: () => 1700000000000 };
+
+test("a saved game resumes where it left off", () => {
+  const storage = createMemoryStorage();
+  const first = createGame({ storage, clock });
+  first.start("round-trip");
+  first.ship.scrap = 12;
+  first.ship.fragments.add(4);
+  first.placePlayer(5, 9);
+  first.saveGame();
+
+  const second = createGame({ storage, clock });
+  second.start();
+  assert.equal(second.runSeed, "round-trip");
+  assert.equal(second.ship.scrap, 12);
+  assert.deepEqual([...second.ship.fragments], [4]);
+  assert.deepEqual([second.player.wx, second.player.wy], [5, 9]);
+  assert.deepEqual(second.serializeGame(), first.serializeGame());
+});
+
+test("saves are stamped with the injected clock", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("clock");
+  assert.equal(game.serializeGame().savedAt, clock.now());
+  assert.equal(game.serializeGame().version, SAVE_VERSION);
+});
+
+test("an unversioned pre-slot save is adopted and migrated", () => {
+  const legacy = {
+    ship: { hull: 7, maxHull: 10, scrap: 5, fuel: 20, maxFuel: 30, hasLegendary: false, fragments: [1, 2] },
+    player: { wx: 3, wy: 4 },
+    pois: [{ x: 6, y: 6, type: "Station" }, { x: 12, y: 1, type: "Relay" }],
+  };
+  const storage = createMemoryStorage({ [LEGACY_SAVE_KEY]: JSON.stringify(legacy) });
+  const game = createGame({ storage, clock });
+  game.start();
+
+  assert.equal(storage.getItem(LEGACY_SAVE_KEY), null);
+  assert.equal(game.ship.scrap, 5);
+  assert.deepEqual([...game.ship.fragments], [1, 2]);
+  // v3 → v4 drops the Relay next to the north gate and adds the gates
+  assert.equal(game.pois.filter(p => p.type === "Jump Gate").length, 4);
+  assert.ok(!game.pois.some(p => p.type === "Relay"));
+  game.saveGame();
+  assert.equal(JSON.parse(storage.getItem(SLOT_PREFIX + "Slot 1")).version, SAVE_VERSION);
+});
+
+test("the exploration chart is saved with the game", () => {
+  const storage = createMemoryStorage();
+  const first = createGame({ storage, clock });
+  first.start("charted");
+  first.placePlayer(18, 9);
+  first.update(1 / 60);
+  first.saveGame();
+
+  const second = createGame({ storage, clock });
+  second.start();
+  assert.ok(second.isExplored(18, 9));
+  assert.equal(second.explorationPercent(), first.explorationPercent());
+  assert.deepEqual(second.chart.seen, first.chart.seen);
+});
+
+test("a v6 save starts with an empty chart", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("old-chart");
+  const { chart, ...v6 } = { ...game.serializeGame(), version: 6 };
+  assert.equal(game.importSave(JSON.stringify(v6), "old.json"), true);
+  assert.equal(game.explorationPercent(), 0);
+  assert.deepEqual(game.chart.seen, {});
+});
+
+test("a v7 save's modules move into their slots", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("old-modules");
+  const { loadout, spares, ...ship } = game.serializeGame().ship;
+  const v7 = { ...game.serializeGame(), version: 7, ship: { ...ship, modules: ["plating", "injector", "pods"] } };
+  assert.equal(game.importSave(JSON.stringify(v7), "old.json"), true);
+  assert.deepEqual(game.ship.loadout, { engine: "injector", tank: null, plating: "plating", sensors: null, utility: "pods" });
+  assert.equal(game.cargoCapacity(), 45);
+});
+
+test("contracts are saved with the run", () => {
+  const storage = createMemoryStorage();
+  const first = createGame({ storage, clock });
+  first.start("contracts");
+  first.contracts.active.push({ id: 1, kind: "clear", count: 3, progress: 2, reward: 22, timeLimit: 60, deadline: 75, sector: "3,3" });
+  first.contracts.completed = 4;
+  first.saveGame();
+
+  const second = createGame({ storage, clock });
+  second.start();
+  assert.deepEqual(second.contracts, first.contracts);
+
+  const { contracts, ...v8 } = { ...second.serializeGame(), version: 8 };
+  assert.equal(second.importSave(JSON.stringify(v8), "old.json"), true);
+  assert.deepEqual(second.contracts, { active: [], offers: [], nextId: 1, completed: 0 });
+});
+
+test("seen and open encounters are saved with the run", () => {
+  const storage = createMemoryStorage();
+  const encounters = require("../encounters.json");
+  const first = createGame({ storage, clock });
+  first.registerEncounterDefinitions(encounters);
+  first.start("encounters");
+  const wreck = first.pois.find(p => p.type === "Wreckage");
+  first.placePlayer(wreck.x, wreck.y);
+  while (!first.encounter && first.poiCharges(wreck) > 0) {
+    first.handleInteract();
+    for (let i = 0; i < 120; i++) first.update(1 / 60);
+  }
+  assert.ok(first.encounter, "an encounter opened");
+
+  const second = createGame({ storage, clock });
+  second.registerEncounterDefinitions(encounters);
+  second.start();
+  assert.deepEqual(second.encounter, first.encounter);
+  assert.deepEqual(second.serializeGame().encounters, first.serializeGame().encounters);
+
+  const { encounters: _, ...v9 } = { ...second.serializeGame(), version: 9 };
+  assert.equal(second.importSave(JSON.stringify(v9), "old.json"), true);
+  assert.equal(second.encounter, null);
+});
+
+test("scanner timers survive a reload; v10 saves start ready", () => {
+  const storage = createMemoryStorage();
+  const first = createGame({ storage, clock });
+  first.start("scanner");
+  first.sensorPing();
+  const second = createGame({ storage, clock });
+  second.start();
+  assert.deepEqual(second.scanner, first.scanner);
+  assert.ok(second.scannerCooldownLeft() > 0);
+
+  const { scanner, ...v10 } = { ...second.serializeGame(), version: 10 };
+  assert.equal(second.importSave(JSON.stringify(v10), "old.json"), true);
+  assert.equal(second.scannerCooldownLeft(), 0);
+  assert.equal(second.scanner.ping, null);
+});
+
+test("an unreadable save is backed up instead of overwritten", () => {
+  const storage = createMemoryStorage({ [SLOT_PREFIX + "Slot 1"]: "{not json" });
+  const game = createGame({ storage, clock });
+  game.start();
+
+  const backup = `${BACKUP_PREFIX}Slot 1:${clock.now()}`;
+  assert.equal(storage.getItem(backup), "{not json");
+  assert.ok(game.pois.length > 0, "a fresh sector was generated");
+  assert.doesNotThrow(() => JSON.parse(storage.getItem(SLOT_PREFIX + "Slot 1")));
+});
+
+test("a save from a newer build is refused", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("newer");
+  const future = { ...game.serializeGame(), version: SAVE_VERSION + 1 };
+  assert.equal(game.importSave(JSON.stringify(future), "future.json"), false);
+  assert.match(game.logLines[0], /Import failed/);
+});
+
+test("export and import round-trip into a new slot", () => {
+  const game = createGame({ storage: createMemoryStorage(), clock });
+  game.start("exported");
+  game.ship.scrap = 9;
+  const raw = game.exportSlot("Slot 1");
+
+  game.newGame("something-else");
+  assert.equal(game.importSave(raw, "farreach-Slot_1.json"), true);
+  assert.equal(game.activeSlot, "Slot_1");
+  assert.equal(game.runSeed, "exported");
+  assert.equal(game.ship.scrap, 9);
+});
+
+test("meta credits survive new games and reloads", () => {
+  const storage = createMemoryStorage();
+  const game = createGame({ storage, clock });
+  game.start("meta");
+  game.run.scrapEarned = 30;
+  game.newGame("next");
+  assert.equal(game.meta.credits, 30);
+  assert.equal(JSON.parse(storage.getItem(META_KEY)).credits, 30);
+
+  const reloaded = createGame({ storage, clock });
+  reloaded.start();
+  assert.equal(reloaded.meta.credits, 30);
+});
+
+test("starting a seed keeps the saved run in its own slot", () => {
+  const storage = createMemoryStorage();
+  const game = createGame({ storage, clock });
+  game.start("first");
+  game.ship.fragments.add(3);
+  game.ship.scrap = 9;
+  game.saveGame();
+  const unstamped = ({ savedAt, ...rest }) => rest;
+  const saved = unstamped(game.serializeGame());
+
+  const linked = createGame({ storage, clock });
+  linked.start("some-seed");
+  assert.equal(linked.runSeed, "some-seed");
+  assert.notEqual(linked.activeSlot, game.activeSlot);
+  assert.deepEqual(linked.slotNames, [game.activeSlot, linked.activeSlot]);
+
+  linked.switchSlot(game.activeSlot);
+  assert.deepEqual(unstamped(linked.serializeGame()), saved);
+  assert.equal(linked.ship.scrap, 9);
+  assert.ok(linked.ship.fragments.has(3));
+});
+
+test("run history is kept apart from the slots and survives reloads", () => {
+  const storage = createMemoryStorage();
+  const game = createGame({ storage, clock });
+  game.start("history");
+  game.run.distance = 12;
+  game.newGame("next");
+  assert.equal(game.history.length, 1);
+  assert.equal(game.history[0].end, "new game");
+  assert.equal(game.serializeGame().history, undefined);
+
+  const reloaded = createGame({ storage, clock });
+  reloaded.start();
+  assert.deepEqual(reloaded.history, game.history);
+  assert.equal(JSON.parse(storage.getItem(HISTORY_KEY)).length, 1);
+
+  const { run, ...rest } = reloaded.serializeGame();
+  const v11 = { ...rest, version: 11, run: { distance: 3, scrapEarned: 4 } };
+  assert.equal(reloaded.importSave(JSON.stringify(v11), "old.json"), true);
+  assert.equal(reloaded.run.distance, 3);
+  assert.deepEqual(reloaded.run.visits, {});
+});
+
+test("achievements are kept under their own key through new games and reloads", () => {
+  const storage = createMemoryStorage();
+  const game = createGame({ storage, clock });
+  game.start("achievements");
+  const station = FIXED_POIS.find(p => p.type === "Station");
+  game.ship.fuel = 0;
+  game.update(1 / 60);
+  game.placePlayer(station.x, station.y);
+  game.handleInteract();
+  game.newGame("next");
+  assert.equal(game.serializeGame().achievements, undefined);
+
+  const reloaded = createGame({ storage, clock });
+  reloaded.start();
+  const onFumes = reloaded.achievementStatus().find(a => a.id === "onFumes");
+  assert.equal(onFumes.unlockedAt, clock.now());
+  assert.equal(onFumes.progress, onFumes.goal);
+  assert.equal(JSON.parse(storage.getItem(ACHIEVEMENTS_KEY)).progress.tourist, 1);
+});
+
+test("the difficulty is saved with the run; v12 saves were played on Normal", () => {
+  const storage = createMemoryStorage();
+  const game = createGame({ storage, clock });
+  game.start("hard", { preset: "brutal", modifiers: ["scarceFuel"] });
+
+  const reloaded = createGame({ storage, clock });
+  reloaded.start();
+  assert.deepEqual(reloaded.difficulty, { preset: "brutal", modifiers: ["scarceFuel"] });
+
+  const { difficulty, ...v12 } = { ...reloaded.serializeGame(), version: 12 };
+  assert.equal(reloaded.importSave(JSON.stringify(v12), "old.json"), true);
+  assert.deepEqual(reloaded.difficulty, { preset: "normal", modifiers: [] });
+});